@@ -0,0 +1,111 @@
+// Text-to-Speech (POST /v1/audio/speech) backed by Puter txt2speech
+// Same /drivers/call plumbing + PUTER_TOKENS rotation as chat/completions.js.
+//
+// Env knobs (optional):
+// - PUTER_TTS_SERVICE: force a driver service (default: picked from the model name)
+// - PUTER_TTS_INTERFACE: override interface name (default: "puter-tts")
+// - PUTER_UPSTREAM_TIMEOUT_MS: per-attempt timeout, also bounds downloading a returned audio URL
+//   (default: 50000)
+
+const { hasAnyToken } = require('../chat/tokenPool');
+const { authorize, authError } = require('../chat/clientKeys');
+const { runDriver, clientSignal, upstreamTimeoutMs } = require('../chat/puterChat');
+const { startAudit } = require('../chat/auditLog');
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  pcm: 'audio/pcm',
+};
+
+function pickTtsService(model = '') {
+  if (process.env.PUTER_TTS_SERVICE) return process.env.PUTER_TTS_SERVICE;
+  const m = model.toLowerCase();
+  if (m.startsWith('tts-') || m.includes('gpt-4o') || m.startsWith('openai/')) return 'openai-tts';
+  if (m.includes('eleven')) return 'elevenlabs-tts';
+  return 'aws-polly';
+}
+
+function audioFromResult(result) {
+  if (!result) return null;
+  if (typeof result === 'string') {
+    const m = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(result);
+    if (m) return { contentType: m[1], buffer: Buffer.from(m[2], 'base64') };
+    if (/^https?:\/\//.test(result)) return { url: result };
+    return null;
+  }
+  return audioFromResult(result.url || result.src || result.audio || result.data || result.result);
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const body = req.body || {};
+  const model = body.model || 'tts-1';
+
+  const auth = await authorize(req, res, { model });
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
+
+  if (!hasAnyToken()) {
+    return res.status(500).json({ error: 'Server misconfiguration: Missing PUTER_TOKEN(S)' });
+  }
+
+  if (typeof body.input !== 'string' || !body.input.trim()) {
+    return res.status(400).json({ error: { message: 'input must be a non-empty string', type: 'invalid_request_error' } });
+  }
+
+  const format = body.response_format || 'mp3';
+  if (!CONTENT_TYPES[format]) {
+    return res.status(400).json({ error: { message: `response_format must be one of: ${Object.keys(CONTENT_TYPES).join(', ')}`, type: 'invalid_request_error' } });
+  }
+
+  const service = pickTtsService(model);
+  const args = { text: body.input, model, response_format: format };
+  if (body.voice) args.voice = typeof body.voice === 'string' ? body.voice : body.voice.id;
+  if (typeof body.speed === 'number') args.speed = body.speed;
+  if (body.instructions) args.instructions = body.instructions;
+  // Polly names its output setting differently and only knows mp3 / pcm / ogg_vorbis.
+  if (service === 'aws-polly') args.output_format = format === 'opus' ? 'ogg_vorbis' : format === 'pcm' ? 'pcm' : 'mp3';
+
+  const out = await runDriver({
+    interface: process.env.PUTER_TTS_INTERFACE || 'puter-tts',
+    service,
+    method: 'synthesize',
+    args,
+  }, { signal: clientSignal(req, res), audit });
+
+  if (!out.ok) {
+    if (out.aborted) return res.end();
+    return res.status(out.status).json({ error: { message: out.message, type: 'upstream_error' } });
+  }
+
+  let audio = out.binary ? { contentType: out.contentType, buffer: out.binary } : audioFromResult(out.result);
+  if (audio?.url) {
+    const ms = upstreamTimeoutMs();
+    try {
+      const r = await fetch(audio.url, { signal: AbortSignal.timeout(ms) });
+      if (!r.ok) return res.status(502).json({ error: { message: `Failed to download synthesized audio: ${r.status}`, type: 'upstream_error' } });
+      audio = { contentType: (r.headers.get('content-type') || '').split(';')[0], buffer: Buffer.from(await r.arrayBuffer()) };
+    } catch (e) {
+      const timedOut = e?.name === 'TimeoutError';
+      const message = timedOut ? `Synthesized audio did not download within ${ms}ms` : `Failed to download synthesized audio: ${e?.message || e}`;
+      return res.status(timedOut ? 504 : 502).json({ error: { message, type: 'upstream_error' } });
+    }
+  }
+  if (!audio?.buffer) {
+    return res.status(502).json({ error: { message: 'Unrecognized upstream audio response shape', type: 'upstream_error' } });
+  }
+
+  // Label the bytes by what the driver says it produced when that is a concrete audio type,
+  // otherwise by the requested format.
+  const upstreamType = audio.contentType && audio.contentType.startsWith('audio/') ? audio.contentType : null;
+  res.setHeader('Content-Type', upstreamType || CONTENT_TYPES[format]);
+  res.setHeader('Content-Length', String(audio.buffer.length));
+  return res.status(200).send(audio.buffer);
+};
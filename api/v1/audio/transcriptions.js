@@ -0,0 +1,182 @@
+// Speech-to-Text (POST /v1/audio/transcriptions) backed by Puter speech2txt
+// Accepts OpenAI's multipart upload and forwards the file to the driver as a data URL,
+// using the same /drivers/call plumbing + PUTER_TOKENS rotation as chat/completions.js.
+//
+// Env knobs (optional):
+// - PUTER_STT_SERVICE: override service name (default: "openai-speech2txt")
+// - PUTER_STT_INTERFACE: override interface name (default: "puter-speech2txt")
+// - PUTER_STT_MAX_BYTES: upload limit (default: 25 MB, same as OpenAI)
+
+const { hasAnyToken } = require('../chat/tokenPool');
+const { authorize, authError } = require('../chat/clientKeys');
+const { runDriver, clientSignal } = require('../chat/puterChat');
+const { startAudit } = require('../chat/auditLog');
+
+const DEFAULT_MAX_BYTES = 25 * 1024 * 1024;
+const FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+
+function badRequest(res, message) {
+  return res.status(400).json({ error: { message, type: 'invalid_request_error' } });
+}
+
+function tooLarge() {
+  return Object.assign(new Error('File too large'), { status: 413 });
+}
+
+// The limit applies however the platform hands the body over: pre-read or still streaming.
+async function readRawBody(req, limit) {
+  const checked = (buf) => {
+    if (buf.length > limit) throw tooLarge();
+    return buf;
+  };
+  if (Buffer.isBuffer(req.rawBody)) return checked(req.rawBody);
+  if (req.readable && !req.readableEnded) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > limit) throw tooLarge();
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+  if (Buffer.isBuffer(req.body)) return checked(req.body);
+  if (typeof req.body === 'string') return checked(Buffer.from(req.body, 'binary'));
+  return Buffer.alloc(0);
+}
+
+// Minimal multipart/form-data parser: returns { fields, files } keyed by part name.
+function parseMultipart(buf, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!m) return null;
+  const delimiter = Buffer.from('--' + (m[1] || m[2]).trim());
+  const fields = {};
+  const files = {};
+
+  let pos = buf.indexOf(delimiter);
+  while (pos !== -1) {
+    let start = pos + delimiter.length;
+    if (buf.slice(start, start + 2).toString() === '--') break;
+    if (buf.slice(start, start + 2).toString() === '\r\n') start += 2;
+
+    const next = buf.indexOf(delimiter, start);
+    if (next === -1) break;
+    const part = buf.slice(start, next - 2); // drop CRLF before the delimiter
+    pos = next;
+
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+    const headers = part.slice(0, headerEnd).toString('utf8');
+    const data = part.slice(headerEnd + 4);
+
+    const name = /name="([^"]*)"/i.exec(headers)?.[1];
+    if (!name) continue;
+    const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+    if (filename != null) {
+      const type = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1]?.trim() || 'application/octet-stream';
+      files[name] = { filename, contentType: type, data };
+    } else {
+      fields[name] = data.toString('utf8');
+    }
+  }
+  return { fields, files };
+}
+
+function timestamp(seconds, sep) {
+  const ms = Math.max(0, Math.round(Number(seconds || 0) * 1000));
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+function segmentsOf(result, text) {
+  if (Array.isArray(result?.segments) && result.segments.length) return result.segments;
+  return [{ start: 0, end: Number(result?.duration) || 0, text }];
+}
+
+function toSubtitles(segments, kind) {
+  const sep = kind === 'srt' ? ',' : '.';
+  const cues = segments.map((s, i) => {
+    const line = `${timestamp(s.start, sep)} --> ${timestamp(s.end, sep)}\n${String(s.text || '').trim()}\n`;
+    return kind === 'srt' ? `${i + 1}\n${line}` : line;
+  });
+  return (kind === 'vtt' ? 'WEBVTT\n\n' : '') + cues.join('\n');
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(req, res);
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
+
+  if (!hasAnyToken()) {
+    return res.status(500).json({ error: 'Server misconfiguration: Missing PUTER_TOKEN(S)' });
+  }
+
+  const contentType = String(req.headers['content-type'] || '');
+  if (!contentType.toLowerCase().startsWith('multipart/form-data')) {
+    return badRequest(res, 'Request must be multipart/form-data with a `file` field');
+  }
+
+  const maxBytes = Number(process.env.PUTER_STT_MAX_BYTES || DEFAULT_MAX_BYTES);
+  let form;
+  try {
+    form = parseMultipart(await readRawBody(req, maxBytes), contentType);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: { message: String(e?.message || e), type: 'invalid_request_error' } });
+  }
+  const file = form?.files.file;
+  if (!file || !file.data.length) return badRequest(res, 'Missing audio `file` upload');
+
+  const { fields } = form;
+  const format = fields.response_format || 'json';
+  if (!FORMATS.includes(format)) return badRequest(res, `response_format must be one of: ${FORMATS.join(', ')}`);
+
+  const model = fields.model || 'whisper-1';
+  if (!auth.client.allowsModel(model)) {
+    return authError(res, { status: 403, message: `API key '${auth.client.name}' is not allowed to use model '${model}'`, type: 'invalid_request_error', code: 'model_not_allowed' });
+  }
+  // Only whisper returns segment timings; subtitle formats otherwise fall back to one cue.
+  const wantSegments = format !== 'json' && format !== 'text' && model.startsWith('whisper');
+  const args = {
+    file: `data:${file.contentType};base64,${file.data.toString('base64')}`,
+    model,
+    response_format: wantSegments ? 'verbose_json' : 'json',
+  };
+  if (fields.language) args.language = fields.language;
+  if (fields.prompt) args.prompt = fields.prompt;
+  if (fields.temperature) args.temperature = Number(fields.temperature);
+
+  const out = await runDriver({
+    interface: process.env.PUTER_STT_INTERFACE || 'puter-speech2txt',
+    service: process.env.PUTER_STT_SERVICE || 'openai-speech2txt',
+    method: 'transcribe',
+    args,
+  }, { signal: clientSignal(req, res), audit });
+
+  if (!out.ok) {
+    if (out.aborted) return res.end();
+    return res.status(out.status).json({ error: { message: out.message, type: 'upstream_error' } });
+  }
+
+  const result = out.result;
+  const text = typeof result === 'string' ? result : String(result?.text ?? '');
+
+  if (format === 'text' || format === 'srt' || format === 'vtt') {
+    const payload = format === 'text' ? text : toSubtitles(segmentsOf(result, text), format);
+    res.setHeader('Content-Type', format === 'vtt' ? 'text/vtt; charset=utf-8' : 'text/plain; charset=utf-8');
+    return res.status(200).send(payload);
+  }
+  if (format === 'verbose_json') {
+    return res.status(200).json({
+      task: 'transcribe',
+      language: result?.language ?? fields.language ?? null,
+      duration: result?.duration ?? null,
+      text,
+      segments: result?.segments ?? [],
+    });
+  }
+  return res.status(200).json({ text });
+};
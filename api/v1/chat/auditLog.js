@@ -0,0 +1,190 @@
+// CommonJS request audit log: one JSON line per request, to a local file or stdout (opt-in)
+// Env: PUTER_AUDIT_LOG (off | stdout | file, default off), PUTER_AUDIT_LOG_FILE,
+//      PUTER_AUDIT_BODIES (none | redacted | full, default none)
+//
+// Each record holds the request id (also sent as X-Request-Id), client key name, requested and
+// answering model, the service / interface / masked token / host of every upstream attempt,
+// final status, latency and usage. Request and response bodies are only logged when
+// PUTER_AUDIT_BODIES asks for them: `redacted` keeps the JSON shape but replaces free text
+// with its length, `full` keeps everything (and is what scripts/replay.js needs). Uploads are
+// logged as { upload: true, bytes, content_type } in either mode.
+// The per-request outcome also feeds ./metrics, whether or not the log is on.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { recordRequest } = require('./metrics');
+
+const MAX_CAPTURE_BYTES = 256 * 1024;
+
+// Values under these keys describe the request rather than carry user text, so they survive redaction.
+const STRUCTURAL_KEYS = new Set([
+  'model', 'role', 'type', 'id', 'name', 'object', 'finish_reason', 'stop_reason', 'status',
+  'tool_call_id', 'tool_use_id', 'tool_choice', 'encoding_format', 'voice', 'format', 'size',
+  'quality', 'detail', 'media_type', 'service_tier', 'previous_response_id',
+]);
+
+function mode() {
+  const m = (process.env.PUTER_AUDIT_LOG || 'off').toLowerCase();
+  return m === 'stdout' || m === 'file' ? m : null;
+}
+
+function bodiesMode() {
+  const m = (process.env.PUTER_AUDIT_BODIES || 'none').toLowerCase();
+  return m === 'redacted' || m === 'full' ? m : null;
+}
+
+function logFile() {
+  return process.env.PUTER_AUDIT_LOG_FILE || path.join(os.tmpdir(), 'puter-audit.jsonl');
+}
+
+// Same shape /v1/tokens shows: enough to tell tokens apart, not enough to use one.
+function maskToken(token) {
+  if (!token) return null;
+  return token.length > 10 ? token.slice(0, 6) + '...' + token.slice(-4) : '****';
+}
+
+function redact(value, key = null) {
+  if (typeof value === 'string') return key && STRUCTURAL_KEYS.has(key) ? value : `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return value.map(v => redact(v, key));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redact(v, k);
+    return out;
+  }
+  return value;
+}
+
+// Uploads (multipart audio, raw bytes, anything not JSON) are logged by size only, never by content.
+function requestBodyOf(req) {
+  const b = req.body;
+  if (b == null) return null;
+  const contentType = String(req.headers?.['content-type'] || '').split(';')[0].trim().toLowerCase() || null;
+  if (Buffer.isBuffer(b) || typeof b !== 'object' || (contentType && !contentType.includes('json'))) {
+    const bytes = Buffer.isBuffer(b) ? b.length
+      : typeof b === 'string' ? Buffer.byteLength(b)
+      : Number(req.headers?.['content-length']) || null;
+    return { upload: { upload: true, bytes, content_type: contentType } };
+  }
+  return { json: b };
+}
+
+// Appends are chained so concurrent requests never interleave inside a line.
+let writing = Promise.resolve();
+
+function writeRecord(record) {
+  const line = JSON.stringify(record) + '\n';
+  if (mode() === 'stdout') {
+    process.stdout.write(line);
+    return;
+  }
+  const file = logFile();
+  writing = writing
+    .then(() => fs.mkdir(path.dirname(file), { recursive: true }))
+    .then(() => fs.appendFile(file, line))
+    .catch(e => console.warn('Audit log write failed:', e?.message || e));
+}
+
+// Starts the audit trail for one request. The record is written once the response finishes
+// (or the client goes away). Returns { id, useClient(client), attempt(entry) }; with the
+// log off only the request metrics are recorded and `id` is null.
+function startAudit(req, res) {
+  const logging = mode();
+  const started = Date.now();
+  const id = logging ? 'req_' + crypto.randomBytes(12).toString('hex') : null;
+  const bodies = logging && bodiesMode();
+  const attempts = [];
+  const chunks = [];
+  let captured = 0;
+  let jsonBody;
+  let client = null;
+  let usage = null;
+  let written = false;
+
+  if (logging) res.setHeader('X-Request-Id', id);
+
+  // Error messages are always kept; whole bodies only when PUTER_AUDIT_BODIES asks for them.
+  const json = res.json?.bind(res);
+  if (logging && json) {
+    res.json = (obj) => {
+      jsonBody = obj;
+      return json(obj);
+    };
+  }
+  if (bodies) {
+    const capture = (data) => {
+      if (data == null || typeof data === 'function' || captured >= MAX_CAPTURE_BYTES) return;
+      const s = Buffer.isBuffer(data) ? `[${data.length} bytes]` : String(data);
+      chunks.push(s);
+      captured += s.length;
+    };
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+    res.write = (data, ...rest) => { capture(data); return write(data, ...rest); };
+    res.end = (data, ...rest) => { capture(data); return end(data, ...rest); };
+  }
+
+  const finish = () => {
+    if (written) return;
+    written = true;
+    const answered = attempts.filter(a => a.status < 400).pop() || attempts[attempts.length - 1] || null;
+    // A response that never finished means the client hung up first.
+    const status = res.writableFinished === false ? 499 : res.statusCode;
+    const latency = Date.now() - started;
+    const answeredModel = res.getHeader?.('x-puter-model') ?? null;
+    recordRequest({ path: req.url, model: answeredModel, status, interface: answered?.interface, ms: latency });
+    if (!logging) return;
+
+    const { json: body = null, upload = null } = requestBodyOf(req) || {};
+    const errorOf = (b) => (typeof b?.error === 'string' ? b.error : b?.error?.message) || null;
+    const record = {
+      id,
+      ts: new Date(started).toISOString(),
+      method: req.method,
+      path: String(req.url || '').split('?')[0],
+      client,
+      model: body?.model ?? null,
+      answered_model: answeredModel,
+      service: answered?.service ?? null,
+      interface: answered?.interface ?? null,
+      stream: body?.stream === true,
+      cache: res.getHeader?.('x-cache') ?? null,
+      status,
+      latency_ms: latency,
+      usage,
+      attempts,
+      error: errorOf(jsonBody),
+    };
+    if (bodies) {
+      record.request = upload || (bodies === 'full' ? body : redact(body));
+      const text = jsonBody !== undefined ? null : chunks.join('');
+      record.response = jsonBody !== undefined
+        ? (bodies === 'full' ? jsonBody : redact(jsonBody))
+        : (bodies === 'full' ? text : `[redacted ${text.length} chars]`);
+    }
+    writeRecord(record);
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+
+  return {
+    id,
+    // Records the client key's name and the usage it gets charged.
+    useClient(c) {
+      if (!c || !logging) return;
+      client = c.name;
+      const record = c.recordUsage.bind(c);
+      c.recordUsage = (u) => {
+        usage = u;
+        return record(u);
+      };
+    },
+    // One upstream call: { model, service, interface, token, host, status, ms, error }.
+    attempt(entry) {
+      attempts.push(logging ? { ...entry, token: maskToken(entry.token) } : entry);
+    },
+  };
+}
+
+module.exports = { startAudit, maskToken };
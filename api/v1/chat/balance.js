@@ -0,0 +1,115 @@
+// CommonJS balance tracking for the "balance" token selection strategy
+// Env: PUTER_BALANCE_REFRESH_MS, PUTER_BALANCE_MIN_MICROCENTS, PUTER_BALANCE_TIMEOUT_MS
+//
+// Remaining allowance comes from the same puter.auth.getMonthlyUsage call that /v1/tokens uses.
+// Values are cached per instance and refreshed in the background once stale. A usage call that
+// fails or outlives PUTER_BALANCE_TIMEOUT_MS leaves the token's balance unknown.
+
+const HOST = 'https://api.puter.com';
+const DEFAULT_REFRESH_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 3000;
+
+const cache = new Map(); // token -> { ts, remaining, allowance }
+const inflight = new Map(); // token -> Promise
+
+function refreshMs() {
+  return Math.max(10 * 1000, Number(process.env.PUTER_BALANCE_REFRESH_MS || DEFAULT_REFRESH_MS));
+}
+
+function timeoutMs() {
+  const n = Number(process.env.PUTER_BALANCE_TIMEOUT_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MS;
+}
+
+function minRemaining() {
+  return Number(process.env.PUTER_BALANCE_MIN_MICROCENTS || 0);
+}
+
+function monthStart(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+}
+
+function nextMonthStart(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+}
+
+async function fetchMonthlyUsage(token) {
+  const r = await fetch(`${HOST}/drivers/call`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json; charset=utf-8',
+      'Origin': 'https://puter.com',
+    },
+    body: JSON.stringify({ interface: 'puter.auth', method: 'getMonthlyUsage', args: [] }),
+    signal: AbortSignal.timeout(timeoutMs()),
+  });
+  if (!r.ok) return null;
+  const info = (await r.json())?.result?.allowanceInfo;
+  if (!info) return null;
+  return { remaining: Number(info.remaining || 0), allowance: Number(info.monthUsageAllowance || 0) };
+}
+
+// A reading taken last month says nothing about this month's allowance.
+function isStale(hit, now) {
+  return !hit || now - hit.ts > refreshMs() || hit.ts < monthStart(now);
+}
+
+function refreshOne(token) {
+  if (inflight.has(token)) return inflight.get(token);
+  const p = fetchMonthlyUsage(token)
+    .catch(() => null)
+    // Failed reads are cached too (remaining: null) so one bad token does not block every request.
+    .then(b => cache.set(token, { ts: Date.now(), remaining: null, allowance: null, ...b }))
+    .finally(() => inflight.delete(token));
+  inflight.set(token, p);
+  return p;
+}
+
+// Waits only for tokens we have never measured (at most PUTER_BALANCE_TIMEOUT_MS);
+// stale readings refresh in the background.
+async function refreshBalances(tokens) {
+  const now = Date.now();
+  const blocking = [];
+  for (const t of tokens) {
+    const hit = cache.get(t);
+    if (!isStale(hit, now)) continue;
+    const p = refreshOne(t);
+    if (!hit || hit.ts < monthStart(now)) blocking.push(p);
+  }
+  if (blocking.length) await Promise.all(blocking);
+}
+
+function remainingOf(token) {
+  const hit = cache.get(token);
+  return hit && hit.ts >= monthStart() ? hit.remaining : null;
+}
+
+function isExhausted(token) {
+  const remaining = remainingOf(token);
+  return remaining != null && remaining <= minRemaining();
+}
+
+// Weighted random pick proportional to remaining balance. Tokens we could not measure
+// get the average known weight so a flaky balance call does not starve them.
+function pickWeighted(tokens) {
+  if (!tokens.length) return null;
+  const known = tokens.map(remainingOf).filter(v => v != null && v > 0);
+  const fallback = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 1;
+  const weights = tokens.map(t => {
+    const v = remainingOf(t);
+    return v == null ? fallback : Math.max(0, v);
+  });
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (total <= 0) return tokens[0];
+  let roll = Math.random() * total;
+  for (let i = 0; i < tokens.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return tokens[i];
+  }
+  return tokens[tokens.length - 1];
+}
+
+module.exports = { refreshBalances, remainingOf, isExhausted, pickWeighted, nextMonthStart };
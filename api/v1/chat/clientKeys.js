@@ -0,0 +1,206 @@
+// CommonJS client key registry: who may call the proxy, for which models, and how much
+// Env: PROXY_API_KEYS (JSON), PROXY_API_KEYS_FILE (path to the same JSON), PROXY_API_KEY
+//
+// The registry is either an array of { name, key, models, rpm, tokens_per_day, enabled }
+// or an object keyed by name. `models` takes glob patterns ("gpt-*", "claude-*").
+// PROXY_API_KEY, when set, stays valid as an unrestricted key named "default".
+// With no keys configured at all the proxy stays open, as before.
+//
+// Request and token counters live in the token pool's state backend (see ./poolState),
+// so limits hold across instances when that backend is shared.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { withFallback } = require('./poolState');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const withBackend = withFallback('Client key counters');
+
+let loaded = null; // { source, keys: Map<sha256, entry>, error }
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function globToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function limitOf(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function toEntry(name, raw) {
+  if (!raw || typeof raw !== 'object') throw new Error(`key '${name}' must be an object`);
+  if (typeof raw.key !== 'string' || !raw.key) throw new Error(`key '${name}' is missing a \`key\` string`);
+  const models = Array.isArray(raw.models) && raw.models.length ? raw.models.map(String) : null;
+  return {
+    name: String(raw.name || name),
+    hash: hashKey(raw.key),
+    enabled: raw.enabled !== false,
+    models,
+    modelPatterns: models ? models.map(globToRegExp) : null,
+    rpm: limitOf(raw.rpm),
+    tokensPerDay: limitOf(raw.tokens_per_day),
+  };
+}
+
+function parseRegistry(text) {
+  const raw = JSON.parse(text);
+  const list = Array.isArray(raw)
+    ? raw.map((r, i) => toEntry(r?.name || `key-${i}`, r))
+    : Object.entries(raw || {}).map(([name, r]) => toEntry(name, r));
+  const keys = new Map();
+  for (const e of list) keys.set(e.hash, e);
+  return keys;
+}
+
+// Re-reads the registry whenever its source changes, so a key can be cut off by editing the file.
+function registry() {
+  const file = process.env.PROXY_API_KEYS_FILE;
+  let source = `env|${process.env.PROXY_API_KEYS || ''}|${process.env.PROXY_API_KEY || ''}`;
+  let text = process.env.PROXY_API_KEYS || '';
+  if (file) {
+    try {
+      source += `|${file}|${fs.statSync(file).mtimeMs}`;
+      if (loaded?.source === source) return loaded;
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      source += '|unreadable';
+      if (loaded?.source === source) return loaded;
+      loaded = { source, keys: new Map(), error: `cannot read PROXY_API_KEYS_FILE: ${e.message}` };
+      console.error('Client key registry:', loaded.error);
+      return loaded;
+    }
+  }
+  if (loaded?.source === source) return loaded;
+
+  let keys = new Map();
+  let error = null;
+  try {
+    if (text.trim()) keys = parseRegistry(text);
+  } catch (e) {
+    error = `invalid client key registry: ${e.message}`;
+    console.error('Client key registry:', error);
+  }
+  if (process.env.PROXY_API_KEY) {
+    const legacy = toEntry('default', { key: process.env.PROXY_API_KEY });
+    if (!keys.has(legacy.hash)) keys.set(legacy.hash, legacy);
+  }
+  loaded = { source, keys, error };
+  return loaded;
+}
+
+function incomingKeyOf(req, allowQueryKey) {
+  const header = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+  if (header || !allowQueryKey) return header;
+  try { return new URL(req.url, `http://${req.headers.host}`).searchParams.get('key'); } catch { return null; }
+}
+
+function totalTokens(usage) {
+  if (!usage) return 0;
+  if (usage.total_tokens != null) return Number(usage.total_tokens) || 0;
+  return (Number(usage.prompt_tokens ?? usage.input_tokens) || 0) + (Number(usage.completion_tokens ?? usage.output_tokens) || 0);
+}
+
+function resetIn(ms) {
+  return `${Math.max(1, Math.ceil(ms / 1000))}s`;
+}
+
+// Fixed windows: requests per UTC minute, tokens per UTC day.
+function windowsFor(entry) {
+  const now = Date.now();
+  const minute = Math.floor(now / MINUTE_MS);
+  const day = Math.floor(now / DAY_MS);
+  const id = entry.hash.slice(0, 16);
+  return {
+    rpmKey: `rl:${id}:m:${minute}`,
+    tpdKey: `rl:${id}:d:${day}`,
+    minuteReset: (minute + 1) * MINUTE_MS - now,
+    dayReset: (day + 1) * DAY_MS - now,
+  };
+}
+
+function makeClient(entry) {
+  return {
+    name: entry ? entry.name : null,
+    allowsModel(model) {
+      if (!entry?.modelPatterns || !model) return true;
+      return entry.modelPatterns.some(re => re.test(model));
+    },
+    // Total tokens are charged after the fact, once the response (or stream) has produced usage.
+    async recordUsage(usage) {
+      if (!entry?.tokensPerDay) return;
+      const tokens = totalTokens(usage);
+      if (!tokens) return;
+      try {
+        await withBackend(b => b.incr(windowsFor(entry).tpdKey, tokens, 2 * DAY_MS));
+      } catch (e) {
+        console.warn('Failed to record client key usage:', e?.message || e);
+      }
+    },
+  };
+}
+
+function deny(status, message, type, code) {
+  return { ok: false, status, message, type, code };
+}
+
+// Authenticates `req`, checks the key's model allowlist and limits, and sets x-ratelimit-* headers.
+// With `countRequest: false` (monitoring routes) only the key is checked; the call neither counts
+// against nor is refused by its limits.
+// Returns { ok: true, client } or { ok: false, status, message, type, code }.
+async function authorize(req, res, { model, allowQueryKey = false, countRequest = true } = {}) {
+  const reg = registry();
+  if (reg.error) return deny(500, 'Server misconfiguration: ' + reg.error, 'server_error', null);
+  if (!reg.keys.size) return { ok: true, client: makeClient(null) };
+
+  const incoming = incomingKeyOf(req, allowQueryKey);
+  const entry = incoming ? reg.keys.get(hashKey(incoming)) : null;
+  if (!entry) return deny(401, 'Invalid Proxy API Key', 'invalid_request_error', 'invalid_api_key');
+  if (!entry.enabled) return deny(401, `API key '${entry.name}' is disabled`, 'invalid_request_error', 'api_key_disabled');
+
+  const client = makeClient(entry);
+  if (!client.allowsModel(model)) {
+    return deny(403, `API key '${entry.name}' is not allowed to use model '${model}'`, 'invalid_request_error', 'model_not_allowed');
+  }
+  if (!countRequest) return { ok: true, client };
+
+  const w = windowsFor(entry);
+  // Sequential on purpose: the file backend is read-modify-write.
+  const requests = entry.rpm ? await withBackend(b => b.incr(w.rpmKey, 1, 2 * MINUTE_MS)) : 0;
+  const tokens = entry.tokensPerDay ? await withBackend(b => b.incr(w.tpdKey, 0, 2 * DAY_MS)) : 0;
+
+  if (entry.rpm) {
+    res.setHeader('x-ratelimit-limit-requests', String(entry.rpm));
+    res.setHeader('x-ratelimit-remaining-requests', String(Math.max(0, entry.rpm - requests)));
+    res.setHeader('x-ratelimit-reset-requests', resetIn(w.minuteReset));
+  }
+  if (entry.tokensPerDay) {
+    res.setHeader('x-ratelimit-limit-tokens', String(entry.tokensPerDay));
+    res.setHeader('x-ratelimit-remaining-tokens', String(Math.max(0, entry.tokensPerDay - tokens)));
+    res.setHeader('x-ratelimit-reset-tokens', resetIn(w.dayReset));
+  }
+
+  if (entry.rpm && requests > entry.rpm) {
+    res.setHeader('Retry-After', String(Math.ceil(w.minuteReset / 1000)));
+    return deny(429, `Rate limit reached for '${entry.name}' on requests per minute: Limit ${entry.rpm}. Please try again in ${resetIn(w.minuteReset)}.`, 'requests', 'rate_limit_exceeded');
+  }
+  if (entry.tokensPerDay && tokens >= entry.tokensPerDay) {
+    res.setHeader('Retry-After', String(Math.ceil(w.dayReset / 1000)));
+    return deny(429, `Rate limit reached for '${entry.name}' on tokens per day: Limit ${entry.tokensPerDay}, Used ${tokens}. Please try again in ${resetIn(w.dayReset)}.`, 'tokens', 'rate_limit_exceeded');
+  }
+
+  return { ok: true, client };
+}
+
+// OpenAI-style error body for a failed authorize().
+function authError(res, auth) {
+  return res.status(auth.status).json({ error: { message: auth.message, type: auth.type, code: auth.code } });
+}
+
+module.exports = { authorize, authError };
@@ -1,185 +1,217 @@
 // Chat Completions (Node.js + Robust Fallback)
 // Fixes 504 errors by aggressively falling back to Legacy API on ANY primary failure.
-
-const { hasAnyToken, getToken, reportTokenResult } = require('./tokenPool');
-
-const DRIVER_PATH = '/drivers/call';
-const HOSTS = ['https://api.puter.com', 'https://puter.com'];
-const HEARTBEAT_MS = Math.max(3000, Number(process.env.SSE_HEARTBEAT_MS || 8000));
-
-function mapOpenAIService(service) {
-  if (service !== 'openai') return service;
-  return process.env.PUTER_OPENAI_SERVICE || 'openai-completion';
+// The driver loop itself lives in ./puterChat so other chat-shaped routes share it.
+// Sampling parameters go to both driver interfaces; `stop` and `n` are also emulated proxy-side.
+// response_format answers are checked (and re-asked) before they are sent; see ./structuredOutput.
+// Deterministic requests can be served from the opt-in response cache (./responseCache).
+
+const { hasAnyToken } = require('./tokenPool');
+const { authorize, authError } = require('./clientKeys');
+const { chatUsage, sumUsage } = require('./tokenizer');
+const { maxRetries, parseResponseFormat, checkOutput, retryMessages } = require('./structuredOutput');
+const { getCache, cacheKey, cachePolicy, cacheGet, cacheSet } = require('./responseCache');
+const { startAudit } = require('./auditLog');
+const {
+  toolCallId,
+  prepareMessages,
+  toAssistantMessage,
+  upstreamUsageOf,
+  setAnsweredModel,
+  sseHeaders,
+  startHeartbeat,
+  clientSignal,
+  createStopMatcher,
+  samplingOptions,
+  resultEvents,
+  runChat,
+} = require('./puterChat');
+
+function badRequest(res, message) {
+  return res.status(400).json({ error: { message, type: 'invalid_request_error' } });
 }
 
-function pickServiceFromModel(modelId = '') {
-  const m = (modelId || '').toLowerCase();
-  if (m.includes('/')) return m.split('/')[0];
-  if (m.startsWith('gpt')) return 'openai';
-  if (m.startsWith('claude')) return 'claude';
-  if (m.startsWith('gemini')) return 'gemini';
-  if (m.startsWith('mistral')) return 'mistral';
-  return 'openai';
+// One choice under response_format: answered whole, checked, and re-asked with the problem
+// spelled out until it conforms or the retries run out. Without `strict`, well-formed JSON that
+// still misses the schema after the last retry is returned as-is.
+// Answers that were re-asked still spent allowance; their usage rides along as `retryUsage`, and
+// `prompt` holds the messages (validation feedback included) that produced the answer returned.
+async function structuredChoice(run, messages, format, { model, tools }) {
+  let attempt = messages;
+  let fallback = null;
+  let lastError = null;
+  const rejected = [];
+  const withRetries = (outcome, returned = null) => {
+    const spent = rejected.filter(u => u !== returned);
+    return spent.length ? { ...outcome, retryUsage: sumUsage(spent) } : outcome;
+  };
+  const attempts = maxRetries() + 1;
+  for (let i = 0; i < attempts; i++) {
+    const outcome = await run(attempt);
+    if (!outcome.ok) return withRetries(outcome);
+    const { message, finish_reason } = toAssistantMessage(outcome.result);
+    // response_format governs text replies; a tool call is a complete answer on its own.
+    if (message.tool_calls?.length) return withRetries(outcome);
+
+    const check = checkOutput(message.content, format);
+    const checked = (text) => ({
+      ...outcome,
+      prompt: attempt,
+      result: { message: { role: 'assistant', content: text }, usage: upstreamUsageOf(outcome.result), finish_reason },
+    });
+    if (check.ok) return withRetries(checked(check.text));
+    const spent = {
+      usage: chatUsage({ upstream: upstreamUsageOf(outcome.result), model: outcome.model || model, messages: attempt, tools, message }),
+      countPrompt: true,
+    };
+    rejected.push(spent);
+    if (check.parsed && !format.strict) fallback = { outcome: checked(check.text), usage: spent };
+    lastError = check.error;
+    attempt = retryMessages(messages, message.content, check.error);
+  }
+  if (fallback) return withRetries(fallback.outcome, fallback.usage);
+  return withRetries({
+    ok: false,
+    status: 502,
+    type: 'upstream_error',
+    message: `Model output did not satisfy response_format after ${attempts} attempt(s): ${lastError}`,
+  });
 }
 
-function normalizeContent(value) {
-  if (value == null) return '';
-  if (typeof value === 'string') return value;
-  if (Array.isArray(value)) {
-    return value.map(p => {
-      if (!p) return '';
-      if (typeof p === 'string') return p;
-      if (typeof p === 'object') return p.text || p.content || JSON.stringify(p);
-      return String(p);
-    }).join('');
-  }
-  try { return JSON.stringify(value); } catch { return String(value); }
+// Adds the usage of rejected structured-output attempts (null when there were none) to a
+// response's usage, so what a response reports is what the client key is charged.
+function withRetryUsage(usage, retryUsage) {
+  return retryUsage ? sumUsage([{ usage, countPrompt: true }, { usage: retryUsage, countPrompt: true }]) : usage;
 }
 
-function sseHeaders(res) {
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream; charset=utf-8',
-    'Cache-Control': 'no-cache, no-transform',
-    'Connection': 'keep-alive',
-    'X-Accel-Buffering': 'no',
+// `outcomes` holds one successful runChat outcome per choice (n > 1 fans out upstream calls).
+function buildCompletion(outcomes, { selectedModel, messages, tools, stop, retryUsage }) {
+  const usages = [];
+  const choices = outcomes.map((outcome, index) => {
+    const { message, finish_reason } = toAssistantMessage(outcome.result);
+    const matcher = createStopMatcher(stop);
+    if (typeof message.content === 'string' && message.content) message.content = matcher.push(message.content) + matcher.flush();
+    usages.push({
+      usage: chatUsage({ upstream: upstreamUsageOf(outcome.result), model: outcome.model || selectedModel, messages: outcome.prompt || messages, tools, message }),
+      countPrompt: index === 0,
+    });
+    return { index, message, finish_reason: matcher.stopped ? 'stop' : finish_reason };
   });
+  return {
+    id: 'chatcmpl-' + Date.now(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: selectedModel,
+    choices,
+    usage: withRetryUsage(outcomes.length === 1 ? usages[0].usage : sumUsage(usages), retryUsage),
+  };
 }
 
 function writeSSE(res, obj) {
   res.write(`data: ${JSON.stringify(obj)}\n\n`);
 }
 
-function startHeartbeat(res, makeChunk) {
-  const t = setInterval(() => {
-    try { writeSSE(res, makeChunk()); } catch {}
-  }, HEARTBEAT_MS);
-  t.unref?.();
-  return t;
-}
-
-async function fetchUpstream({ token, body }) {
-  let lastErr = null;
-  for (const host of HOSTS) {
-    try {
-      const r = await fetch(host + DRIVER_PATH, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json, text/event-stream',
-          'Origin': 'https://puter.com',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        },
-        body: JSON.stringify(body),
-      });
-      return { response: r, host };
-    } catch (e) {
-      lastErr = e;
-    }
-  }
-  throw lastErr || new Error('All upstream hosts failed');
-}
-
-async function readJsonSafe(r) {
-  const ct = (r.headers.get('content-type') || '').toLowerCase();
-  if (!ct.includes('application/json')) return null;
-  try { return await r.json(); } catch { return null; }
-}
-
-async function readTextSafe(r) {
-  try { return await r.text(); } catch { return ''; }
-}
-
-async function streamAsOpenAI({ upstreamResponse, res, selectedModel }) {
+// Resolves to { usage, results }: `results` holds each choice as a whole result, or is null
+// when the stream failed part-way. `prompts` overrides `messages` per choice for usage estimates.
+async function streamAsOpenAI({ streams, res, selectedModel, messages, prompts = [], tools, stop, includeUsage = false, retryUsage = null }) {
   sseHeaders(res);
   const created = Math.floor(Date.now() / 1000);
   const idBase = 'chatcmpl-' + Date.now();
 
-  writeSSE(res, {
+  const chunk = (index, delta, finish_reason = null) => ({
     id: idBase, object: 'chat.completion.chunk', created, model: selectedModel,
-    choices: [{ index: 0, delta: { content: '' }, finish_reason: null }]
+    choices: [{ index, delta, finish_reason }]
   });
 
-  const hb = startHeartbeat(res, () => ({
-    id: idBase, object: 'chat.completion.chunk', created, model: selectedModel,
-    choices: [{ index: 0, delta: { content: '' }, finish_reason: null }]
-  }));
-
-  const reader = upstreamResponse.body?.getReader?.(); // Node 18+ fetch
-  const decoder = new TextDecoder();
+  streams.forEach((_, index) => writeSSE(res, chunk(index, { role: 'assistant', content: '' })));
+
+  const hb = startHeartbeat(() => writeSSE(res, chunk(0, { content: '' })));
+
+  // Concurrent choices are interleaved chunk by chunk, each tagged with its own index.
+  let failure = null;
+  const relay = async (events, index) => {
+    // Everything relayed is also accumulated so usage can be estimated when upstream omits it.
+    let completionText = '';
+    let reasoningText = '';
+    const streamedCalls = [];
+    let upstreamUsage = null;
+    const matcher = createStopMatcher(stop);
+
+    // Tool calls are re-indexed so clients always see 0..n regardless of upstream numbering.
+    const toolIndex = new Map();
+    const emitText = (text) => {
+      const out = matcher.push(text);
+      if (!out) return;
+      completionText += out;
+      writeSSE(res, chunk(index, { content: out }));
+    };
+    // Thinking goes out as `reasoning_content`, the field OpenAI-compatible reasoning APIs use.
+    const emitReasoning = (text) => {
+      reasoningText += text;
+      writeSSE(res, chunk(index, { reasoning_content: text }));
+    };
+    const emitToolStart = (key, id, name) => {
+      const i = toolIndex.size;
+      toolIndex.set(key, i);
+      const call = { id: id || toolCallId(), type: 'function', function: { name, arguments: '' } };
+      streamedCalls.push(call);
+      writeSSE(res, chunk(index, { tool_calls: [{ index: i, ...call }] }));
+    };
+    const emitToolArgs = (key, fragment) => {
+      if (!fragment || !toolIndex.has(key)) return;
+      streamedCalls[toolIndex.get(key)].function.arguments += fragment;
+      writeSSE(res, chunk(index, { tool_calls: [{ index: toolIndex.get(key), function: { arguments: fragment } }] }));
+    };
+
+    let failed = false;
+    let finish = 'stop';
+    for await (const ev of events) {
+      if (ev.type === 'error') { failure = failure || ev.message; failed = true; break; }
+      if (ev.type === 'text') emitText(ev.text);
+      else if (ev.type === 'reasoning') emitReasoning(ev.text);
+      else if (ev.type === 'tool_call_start') emitToolStart(ev.key, ev.id, ev.name);
+      else if (ev.type === 'tool_call_delta') emitToolArgs(ev.key, ev.arguments);
+      else if (ev.type === 'usage') upstreamUsage = ev.usage;
+      else if (ev.type === 'finish') finish = ev.reason;
+      // Leaving the loop cancels the upstream stream, so a stop sequence also stops generation.
+      if (matcher.stopped) break;
+    }
+    if (!failed) {
+      const tail = matcher.flush();
+      if (tail) {
+        completionText += tail;
+        writeSSE(res, chunk(index, { content: tail }));
+      }
+      if (matcher.stopped) finish = 'stop';
+      else if (toolIndex.size) finish = 'tool_calls';
+      writeSSE(res, chunk(index, {}, finish));
+    }
 
-  if (!reader) {
-    clearInterval(hb);
-    writeSSE(res, {
-      id: idBase, object: 'chat.completion.chunk', created, model: selectedModel,
-      choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
+    const usage = chatUsage({
+      upstream: upstreamUsage, model: selectedModel, messages: prompts[index] || messages, tools,
+      message: { content: reasoningText + completionText, tool_calls: streamedCalls },
     });
-    res.write('data: [DONE]\n\n');
-    return res.end();
-  }
+    // What was sent, as a whole result, so the answer can be cached and replayed.
+    const message = { role: 'assistant', content: streamedCalls.length && !completionText ? null : completionText };
+    if (streamedCalls.length) message.tool_calls = streamedCalls;
+    return { usage, countPrompt: index === 0, result: failed ? null : { message, finish_reason: finish, usage: upstreamUsage } };
+  };
 
-  let buf = '';
   try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      buf += decoder.decode(value, { stream: true });
-
-      let idx;
-      while ((idx = buf.indexOf('\n')) !== -1) {
-        const rawLine = buf.slice(0, idx);
-        buf = buf.slice(idx + 1);
-
-        const line = rawLine.trimEnd();
-        if (!line) continue;
-
-        if (line.startsWith('data:')) {
-          const payload = line.slice(5).trim();
-          if (payload === '[DONE]') {
-            buf = ''; break;
-          }
-          let text = null;
-          try {
-            const j = JSON.parse(payload);
-            text = j?.choices?.[0]?.delta?.content ?? j?.choices?.[0]?.message?.content ?? j?.message?.content ?? j?.content ?? null;
-            if (text == null && typeof j === 'string') text = j;
-            if (text == null) text = payload;
-          } catch { text = payload; }
-
-          if (text) {
-            writeSSE(res, {
-              id: idBase, object: 'chat.completion.chunk', created, model: selectedModel,
-              choices: [{ index: 0, delta: { content: String(text) }, finish_reason: null }]
-            });
-          }
-        } else {
-          writeSSE(res, {
-            id: idBase, object: 'chat.completion.chunk', created, model: selectedModel,
-            choices: [{ index: 0, delta: { content: line + '\n' }, finish_reason: null }]
-          });
-        }
-      }
-      if (buf.length > 2048 && !buf.includes('\n')) {
-        writeSSE(res, {
-          id: idBase, object: 'chat.completion.chunk', created, model: selectedModel,
-          choices: [{ index: 0, delta: { content: buf }, finish_reason: null }]
-        });
-        buf = '';
-      }
-    }
-    if (buf) {
-       writeSSE(res, {
-          id: idBase, object: 'chat.completion.chunk', created, model: selectedModel,
-          choices: [{ index: 0, delta: { content: buf }, finish_reason: null }]
-       });
+    const usages = await Promise.all(streams.map(relay));
+    const usage = withRetryUsage(streams.length === 1 ? usages[0].usage : sumUsage(usages), retryUsage);
+    if (failure) {
+      // Content already went out, so the failure is reported in-band, the way OpenAI does.
+      writeSSE(res, { error: { message: failure, type: 'upstream_error' } });
+      res.end();
+      return { usage, results: null };
     }
 
-    writeSSE(res, {
-      id: idBase, object: 'chat.completion.chunk', created, model: selectedModel,
-      choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
-    });
+    if (includeUsage) {
+      writeSSE(res, { id: idBase, object: 'chat.completion.chunk', created, model: selectedModel, choices: [], usage });
+    }
     res.write('data: [DONE]\n\n');
     res.end();
+    return { usage, results: usages.map(u => u.result) };
   } finally {
     clearInterval(hb);
   }
@@ -187,131 +219,89 @@ async function streamAsOpenAI({ upstreamResponse, res, selectedModel }) {
 
 module.exports = async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  const incomingKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (process.env.PROXY_API_KEY && incomingKey !== process.env.PROXY_API_KEY) {
-    return res.status(401).json({ error: 'Invalid Proxy API Key' });
-  }
+  const body = req.body || {};
+  const { model, tools, tool_choice } = body;
+  const selectedModel = model || 'gpt-5-nano';
+
+  const auth = await authorize(req, res, { model: selectedModel });
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
 
   if (!hasAnyToken()) {
     return res.status(500).json({ error: 'Server misconfiguration: Missing PUTER_TOKEN(S)' });
   }
 
-  const body = req.body || {};
-  const { messages, model, temperature, max_tokens, tools } = body;
-  if (!Array.isArray(messages)) return res.status(400).json({ error: 'messages must be an array' });
+  if (!Array.isArray(body.messages)) return res.status(400).json({ error: 'messages must be an array' });
+  const messages = prepareMessages(body.messages);
 
-  const selectedModel = model || 'gpt-5-nano';
-  const baseService = pickServiceFromModel(selectedModel);
-  const service = mapOpenAIService(baseService);
+  const n = body.n == null ? 1 : body.n;
+  if (!Number.isInteger(n) || n < 1 || n > 16) return badRequest(res, 'n must be an integer between 1 and 16');
+  const sampling = samplingOptions(body);
+  if (sampling.error) return badRequest(res, sampling.error);
+  const { format, error: formatError } = parseResponseFormat(body.response_format);
+  if (formatError) return badRequest(res, formatError);
 
   const accept = String(req.headers['accept'] || '').toLowerCase();
   const wantStream = body.stream === true && accept.includes('text/event-stream');
-
-  const primaryArgs = { messages, model: selectedModel, stream: wantStream, max_tokens };
-  if (tools) primaryArgs.tools = tools;
-  if (typeof temperature === 'number') primaryArgs.temperature = temperature;
-
-  const primaryBody = { interface: 'puter-chat-completion', service, method: 'complete', args: primaryArgs };
-
-  const legacyOpts = {
+  const includeUsage = wantStream && body.stream_options?.include_usage === true;
+
+  // Deterministic requests (temperature 0 or a fixed seed) may be answered from the response cache.
+  const cache = getCache();
+  const policy = cachePolicy(req);
+  const key = cache && policy !== 'skip' && (body.temperature === 0 || body.seed != null)
+    ? cacheKey('chat', { model: selectedModel, messages, options: sampling.options, tools, tool_choice, response_format: body.response_format, n })
+    : null;
+  const hit = key && policy === 'use' ? await cacheGet(cache, key) : null;
+  if (key) res.setHeader('x-cache', hit ? 'hit' : 'miss');
+
+  const signal = clientSignal(req, res);
+  const run = (msgs, stream = false) => runChat({
     model: selectedModel,
-    stream: wantStream,
-    ...(typeof max_tokens === 'number' ? { max_tokens } : {}),
-    ...(tools ? { tools } : {}),
-    ...(typeof temperature === 'number' ? { temperature } : {}),
-  };
-  const legacyBody = { interface: 'puter.ai', method: 'chat', args: [messages, legacyOpts] };
-
-  const maxAttempts = Math.max(1, Number(process.env.PUTER_TOKEN_MAX_ATTEMPTS || 3));
-  let lastMsg = null;
-  let lastStatus = 502;
-
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const token = getToken();
-    if (!token) break;
-
-    try {
-      // 1. Try Primary Interface
-      // We will try this first. If it returns ANY error (even 504), we assume it's broken/unsupported
-      // and immediately fall back to Legacy for this request.
-      
-      const { response: r1 } = await fetchUpstream({ token, body: primaryBody });
-
-      // If stream success, pipe it
-      if (wantStream && r1.ok && r1.body) {
-        reportTokenResult(token, { ok: true, status: 200 });
-        return await streamAsOpenAI({ upstreamResponse: r1, res, selectedModel });
-      }
-
-      // Read response
-      let j1 = null;
-      let t1 = null;
-      try { j1 = await r1.json(); } catch { t1 = await readTextSafe(r1); }
-
-      // Success JSON
-      if (r1.ok && (!j1 || j1.success !== false)) {
-        reportTokenResult(token, { ok: true, status: 200 });
-        const result1 = j1?.result ?? j1 ?? t1;
-        const content1 = normalizeContent(result1?.message?.content ?? result1?.content ?? result1);
-        return res.status(200).json({
-          id: 'chatcmpl-' + Date.now(),
-          object: 'chat.completion',
-          created: Math.floor(Date.now() / 1000),
-          model: selectedModel,
-          choices: [{ index: 0, message: { role: 'assistant', content: content1 }, finish_reason: 'stop' }],
-          usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
-        });
-      }
-
-      // --- AGGRESSIVE FALLBACK LOGIC ---
-      // If we are here, Primary failed (either status!=200 or json.success==false)
-      // We do NOT return error yet. We immediately try Legacy.
-      
-      const { response: r2 } = await fetchUpstream({ token, body: legacyBody });
-
-      if (wantStream && r2.ok && r2.body) {
-        reportTokenResult(token, { ok: true, status: 200 });
-        return await streamAsOpenAI({ upstreamResponse: r2, res, selectedModel });
-      }
-
-      let j2 = await readJsonSafe(r2);
-      if (j2 && typeof j2 === 'object' && j2.success === false) {
-        const msg2 = j2?.error?.message || JSON.stringify(j2.error || j2);
-        lastMsg = msg2; lastStatus = 502;
-        reportTokenResult(token, { ok: false, status: 502 });
-        continue; // Try next token
-      }
-      if (!r2.ok) {
-        const msg2 = (j2 ? JSON.stringify(j2) : await readTextSafe(r2));
-        lastMsg = msg2; lastStatus = r2.status;
-        reportTokenResult(token, { ok: false, status: r2.status });
-        // Retry common temporary errors
-        if ([429, 502, 503, 504].includes(r2.status)) continue;
-        return res.status(r2.status).json({ error: { message: msg2, type: 'upstream_error' } });
-      }
-
-      const result2 = j2?.result ?? j2 ?? await readTextSafe(r2);
-      reportTokenResult(token, { ok: true, status: 200 });
-      const content2 = normalizeContent(result2?.message?.content ?? result2?.content ?? result2);
-
-      return res.status(200).json({
-        id: 'chatcmpl-' + Date.now(),
-        object: 'chat.completion',
-        created: Math.floor(Date.now() / 1000),
-        model: selectedModel,
-        choices: [{ index: 0, message: { role: 'assistant', content: content2 }, finish_reason: 'stop' }],
-        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
-      });
-
-    } catch (e) {
-      lastMsg = String(e?.message || e);
-      lastStatus = 502;
-      reportTokenResult(token, { ok: false, status: 599 });
-      continue;
-    }
+    messages: msgs,
+    stream,
+    allowModel: auth.client.allowsModel,
+    signal,
+    audit,
+    options: { ...sampling.options, tools, tool_choice, response_format: format || undefined },
+  });
+  // n > 1 is served by parallel upstream calls, one per choice. Structured answers must be
+  // checked whole, so they are fetched unstreamed and replayed as a stream if one was asked for.
+  const outcomes = hit
+    ? hit.results.map(result => ({ ok: true, result, model: hit.model }))
+    : await Promise.all(Array.from({ length: n }, () => (format ? structuredChoice(run, messages, format, { model: selectedModel, tools }) : run(messages, wantStream))));
+  // Rejected structured answers are reported and charged on top of the ones returned.
+  const retries = outcomes.filter(o => o.retryUsage).map(o => ({ usage: o.retryUsage, countPrompt: true }));
+  const retryUsage = retries.length ? sumUsage(retries) : null;
+
+  const failed = outcomes.find(o => !o.ok);
+  if (failed) {
+    for (const o of outcomes) if (o.events) o.events.return().catch(() => {});
+    if (retryUsage) await auth.client.recordUsage(retryUsage);
+    // The client is gone; nothing left to answer.
+    if (failed.aborted) return res.end();
+    return res.status(failed.status).json({ error: { message: failed.message, type: failed.type || 'upstream_error' } });
   }
-
-  return res.status(lastStatus).json({ error: { message: lastMsg || 'All tokens failed', type: 'upstream_error' } });
+  // Report the model that answered, which a fallback chain may have changed (the first choice's, for n > 1).
+  const answeredModel = outcomes[0].model || selectedModel;
+  setAnsweredModel(res, answeredModel);
+  // Cache hits cost no Puter allowance, so they are not charged to the client key either.
+  if (wantStream) {
+    const { usage, results } = await streamAsOpenAI({
+      streams: outcomes.map(o => o.events || resultEvents(o.result)), res, selectedModel: answeredModel, messages,
+      prompts: outcomes.map(o => o.prompt), tools, stop: body.stop, includeUsage, retryUsage,
+    });
+    if (hit) return;
+    // A stream the client walked away from may have ended early; it is not a complete answer.
+    if (key && results && !signal.aborted) await cacheSet(cache, key, { model: answeredModel, results });
+    return await auth.client.recordUsage(usage);
+  }
+  const completion = buildCompletion(outcomes, { selectedModel: answeredModel, messages, tools, stop: body.stop, retryUsage });
+  if (!hit) {
+    if (key) await cacheSet(cache, key, { model: answeredModel, results: outcomes.map(o => o.result) });
+    await auth.client.recordUsage(completion.usage);
+  }
+  return res.status(200).json(completion);
 };
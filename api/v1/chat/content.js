@@ -0,0 +1,146 @@
+// CommonJS helpers for multimodal message content (images, audio, files)
+// Validates OpenAI content parts and rewrites them into the shape each Puter interface expects.
+// Env: PUTER_VISION_SERVICES (comma list, extends the built-in vision-capable services)
+
+const DATA_URL_RE = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=\r\n]+)$/i;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp'];
+const AUDIO_FORMATS = ['wav', 'mp3'];
+
+const VISION_SERVICES = ['openai-completion', 'claude', 'gemini', 'mistral', 'openrouter', 'xai'];
+const FILE_SERVICES = ['openai-completion', 'claude', 'gemini'];
+
+function isOpenAIService(service) {
+  return service === 'openai' || service === 'openai-completion' || service === process.env.PUTER_OPENAI_SERVICE;
+}
+
+// `service` reaches the checks below already mapped (puterChat's mapOpenAIService), so the
+// PUTER_OPENAI_SERVICE override stands in for OpenAI's own vision-capable service.
+function visionServices() {
+  const extra = (process.env.PUTER_VISION_SERVICES || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (process.env.PUTER_OPENAI_SERVICE) extra.push(process.env.PUTER_OPENAI_SERVICE);
+  return new Set(VISION_SERVICES.concat(extra));
+}
+
+function parseDataUrl(url) {
+  const m = DATA_URL_RE.exec(url || '');
+  return m ? { mime: m[1].toLowerCase(), data: m[2].replace(/[\r\n]/g, '') } : null;
+}
+
+// Normalizes one part to { type, ... } or throws with a client-facing message.
+function normalizePart(p) {
+  if (typeof p === 'string') return { type: 'text', text: p };
+  if (!p || typeof p !== 'object') throw new Error('Content parts must be objects');
+
+  switch (p.type) {
+    case 'text':
+      if (typeof p.text !== 'string') throw new Error('text content parts require a string `text`');
+      return { type: 'text', text: p.text };
+
+    case 'image_url': {
+      const url = typeof p.image_url === 'string' ? p.image_url : p.image_url?.url;
+      if (typeof url !== 'string' || !url) throw new Error('image_url content parts require `image_url.url`');
+      if (url.startsWith('data:')) {
+        const parsed = parseDataUrl(url);
+        if (!parsed || !IMAGE_TYPES.includes(parsed.mime)) {
+          throw new Error(`Unsupported image data URL; expected base64 ${IMAGE_TYPES.join(', ')}`);
+        }
+        return { type: 'image_url', url, mime: parsed.mime === 'image/jpg' ? 'image/jpeg' : parsed.mime, data: parsed.data, detail: p.image_url?.detail };
+      }
+      if (!/^https?:\/\//i.test(url)) throw new Error('image_url must be an http(s) URL or a base64 data URL');
+      return { type: 'image_url', url, detail: p.image_url?.detail };
+    }
+
+    case 'input_audio': {
+      const a = p.input_audio || {};
+      if (typeof a.data !== 'string' || !a.data) throw new Error('input_audio content parts require base64 `input_audio.data`');
+      if (!AUDIO_FORMATS.includes(a.format)) throw new Error(`input_audio.format must be one of: ${AUDIO_FORMATS.join(', ')}`);
+      return { type: 'input_audio', data: a.data, format: a.format };
+    }
+
+    case 'file': {
+      const f = p.file || {};
+      if (f.file_id) throw new Error('file parts referencing file_id are not supported; send file_data instead');
+      const parsed = parseDataUrl(f.file_data);
+      if (!parsed) throw new Error('file content parts require `file.file_data` as a base64 data URL');
+      return { type: 'file', mime: parsed.mime, data: parsed.data, url: f.file_data, filename: f.filename };
+    }
+
+    default:
+      throw new Error(`Unsupported content part type: ${p.type}`);
+  }
+}
+
+// Returns null when every part can be carried to `service` / `model`, otherwise an error message.
+function checkContentSupport(messages, service, model = '') {
+  const vision = visionServices();
+  for (const [i, m] of messages.entries()) {
+    if (!m || !Array.isArray(m.content)) continue;
+    for (const raw of m.content) {
+      let part;
+      try { part = normalizePart(raw); } catch (e) { return `messages[${i}]: ${e.message}`; }
+
+      if (part.type === 'image_url' && !vision.has(service)) {
+        return `messages[${i}]: model '${model}' (service '${service}') does not accept image input`;
+      }
+      if (part.type === 'input_audio' && !(service === 'gemini' || (isOpenAIService(service) && /audio/i.test(model)))) {
+        return `messages[${i}]: model '${model}' does not accept input_audio parts`;
+      }
+      if (part.type === 'file' && !FILE_SERVICES.includes(service) && !isOpenAIService(service)) {
+        return `messages[${i}]: model '${model}' (service '${service}') does not accept file parts`;
+      }
+    }
+  }
+  return null;
+}
+
+function toPrimaryPart(part, service) {
+  if (part.type === 'text') return { type: 'text', text: part.text };
+
+  if (service === 'claude') {
+    if (part.type === 'image_url') {
+      return part.data
+        ? { type: 'image', source: { type: 'base64', media_type: part.mime, data: part.data } }
+        : { type: 'image', source: { type: 'url', url: part.url } };
+    }
+    if (part.type === 'file') return { type: 'document', source: { type: 'base64', media_type: part.mime, data: part.data } };
+  }
+
+  if (part.type === 'image_url') {
+    // Mistral takes the URL as a bare string.
+    if (service === 'mistral') return { type: 'image_url', image_url: part.url };
+    return { type: 'image_url', image_url: part.detail ? { url: part.url, detail: part.detail } : { url: part.url } };
+  }
+  if (part.type === 'input_audio') return { type: 'input_audio', input_audio: { data: part.data, format: part.format } };
+  if (part.type === 'file') return { type: 'file', file: { file_data: part.url, filename: part.filename } };
+  return null;
+}
+
+// Messages for the `puter-chat-completion` interface of `service`.
+function toPrimaryMessages(messages, service) {
+  return messages.map(m => {
+    if (!m || !Array.isArray(m.content)) return m;
+    return { ...m, content: m.content.map(p => toPrimaryPart(normalizePart(p), service)) };
+  });
+}
+
+// Messages for the legacy `puter.ai` interface, which follows puter.js' own vision shape:
+// plain strings for text and bare { image_url: { url } } objects, plus a `vision` flag.
+// Returns null when the conversation carries parts the legacy interface cannot express.
+function toLegacyMessages(messages) {
+  let vision = false;
+  const out = [];
+  for (const m of messages) {
+    if (!m || !Array.isArray(m.content)) { out.push(m); continue; }
+    const content = [];
+    for (const raw of m.content) {
+      const part = normalizePart(raw);
+      if (part.type === 'text') content.push(part.text);
+      else if (part.type === 'image_url') { vision = true; content.push({ image_url: { url: part.url } }); }
+      else return null;
+    }
+    out.push({ ...m, content });
+  }
+  return { messages: out, vision };
+}
+
+module.exports = { checkContentSupport, toPrimaryMessages, toLegacyMessages };
@@ -0,0 +1,153 @@
+// CommonJS in-process metrics, rendered in the Prometheus text exposition format by /v1/metrics
+//
+// Counters and histograms live in memory, so each instance (each warm serverless function)
+// reports its own and they start over on a cold start; Prometheus treats that as a counter reset.
+// Label values are kept to bounded sets: routes have ids collapsed, models are the upstream ids
+// that answered (never the raw client string), tokens are the pool's hashed ids.
+
+const { tokenStates } = require('./tokenPool');
+
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const metrics = new Map(); // name -> { type, help, buckets?, series: Map(labelKey -> { labels, value | counts/sum/count }) }
+
+function define(type, name, help, buckets) {
+  metrics.set(name, { type, help, buckets, series: new Map() });
+}
+
+define('counter', 'puter_proxy_requests_total', 'Requests handled, by route, answering model, status and interface path of the answering upstream call.');
+define('histogram', 'puter_proxy_request_duration_seconds', 'Time from request to finished response, by route.', DURATION_BUCKETS);
+define('counter', 'puter_proxy_upstream_requests_total', 'Upstream driver calls, by host, interface path (primary / legacy, or the driver interface) and status.');
+define('histogram', 'puter_proxy_upstream_duration_seconds', 'Upstream driver call latency, by host and interface path.', DURATION_BUCKETS);
+define('counter', 'puter_proxy_retries_total', 'Retries, by kind: token (failover to the next token), interface (primary to legacy), model (routing fallback), host (next host in HOSTS).');
+define('counter', 'puter_proxy_stream_payloads_dropped_total', 'Upstream stream payloads that were not valid JSON or had no recognized shape, and were skipped.');
+define('counter', 'puter_proxy_model_catalog_cache_total', 'Model catalog lookups (/v1/models and the model router), by cache result.');
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, labels[k]]));
+}
+
+function seriesOf(name, labels) {
+  const m = metrics.get(name);
+  const key = labelKey(labels);
+  let s = m.series.get(key);
+  if (!s) {
+    s = m.type === 'histogram'
+      ? { labels, counts: m.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    m.series.set(key, s);
+  }
+  return s;
+}
+
+function inc(name, labels = {}, by = 1) {
+  seriesOf(name, labels).value += by;
+}
+
+function observe(name, labels, value) {
+  const m = metrics.get(name);
+  const s = seriesOf(name, labels);
+  m.buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+  s.sum += value;
+  s.count++;
+}
+
+// --- recording -----------------------------------------------------------
+
+// Collapses per-object paths (/v1/responses/resp_...) so every route is one series.
+function routeOf(p) {
+  return String(p || '').split('?')[0].replace(/^\/api(?=\/)/, '').replace(/^(\/v1\/responses)\/[^/]+/, '$1/:id') || '/';
+}
+
+function hostOf(host) {
+  return host ? String(host).replace(/^https?:\/\//, '') : 'none';
+}
+
+// One finished request: { path, model, status, interface, ms }.
+function recordRequest({ path, model, status, interface: iface, ms }) {
+  const route = routeOf(path);
+  inc('puter_proxy_requests_total', { route, model: model || 'none', status: String(status), interface: iface || 'none' });
+  observe('puter_proxy_request_duration_seconds', { route }, ms / 1000);
+}
+
+// One upstream driver call, as handed to the audit trail: { host, interface, status, ms }.
+function recordUpstream({ host, interface: iface, status, ms }) {
+  const labels = { host: hostOf(host), interface: iface || 'none' };
+  inc('puter_proxy_upstream_requests_total', { ...labels, status: String(status) });
+  observe('puter_proxy_upstream_duration_seconds', labels, ms / 1000);
+}
+
+function recordRetry(kind) {
+  inc('puter_proxy_retries_total', { kind });
+}
+
+function recordDroppedPayload() {
+  inc('puter_proxy_stream_payloads_dropped_total');
+}
+
+function recordModelCatalog(hit) {
+  inc('puter_proxy_model_catalog_cache_total', { result: hit ? 'hit' : 'miss' });
+}
+
+// --- rendering -----------------------------------------------------------
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  return Number.isFinite(v) ? String(v) : 'NaN';
+}
+
+function renderMetric(lines, name, m) {
+  lines.push(`# HELP ${name} ${m.help}`);
+  lines.push(`# TYPE ${name} ${m.type}`);
+  for (const s of m.series.values()) {
+    if (m.type !== 'histogram') {
+      lines.push(`${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+      continue;
+    }
+    m.buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: String(le) })} ${s.counts[i]}`));
+    lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+    lines.push(`${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+    lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+  }
+}
+
+// Token gauges are read from the pool's shared state at scrape time, so they agree across instances.
+async function tokenGauges() {
+  const tokens = await tokenStates();
+  const gauges = new Map();
+  const gauge = (name, help) => {
+    const m = { type: 'gauge', help, series: new Map() };
+    gauges.set(name, m);
+    return (labels, value) => m.series.set(labelKey(labels), { labels, value });
+  };
+  const count = gauge('puter_proxy_tokens', 'Configured Puter tokens, by state (available or cooldown).');
+  const cooldown = gauge('puter_proxy_token_cooldown_seconds', 'Seconds until a token leaves its cooldown (0 when available).');
+  const failures = gauge('puter_proxy_token_failures', 'Consecutive failures recorded for a token.');
+
+  const cooling = tokens.filter(t => t.cooldownMs > 0).length;
+  count({ state: 'available' }, tokens.length - cooling);
+  count({ state: 'cooldown' }, cooling);
+  for (const t of tokens) {
+    cooldown({ token: t.id }, Math.ceil(t.cooldownMs / 1000));
+    failures({ token: t.id }, t.failCount);
+  }
+  return gauges;
+}
+
+async function renderMetrics() {
+  const lines = [];
+  for (const [name, m] of metrics) renderMetric(lines, name, m);
+  for (const [name, m] of await tokenGauges()) renderMetric(lines, name, m);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { recordRequest, recordUpstream, recordRetry, recordDroppedPayload, recordModelCatalog, renderMetrics };
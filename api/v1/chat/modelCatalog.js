@@ -0,0 +1,115 @@
+// CommonJS Puter model catalog, shared by /v1/models and the model router
+// Fetches Puter's model details list, normalizes it to OpenAI model objects and caches it per provider.
+
+const { recordModelCatalog } = require('./metrics');
+
+const CACHE_MS = 10 * 60 * 1000; // 10 minutes
+const FETCH_TIMEOUT_MS = 8000;
+
+const PUTER_MODELS_URL = 'https://puter.com/puterai/chat/models/details';
+
+const cache = new Map(); // key -> {ts, data}
+
+function toArray(raw) {
+  if (Array.isArray(raw)) return raw;
+
+  if (raw && typeof raw === 'object') {
+    if (Array.isArray(raw.models)) return raw.models;
+    if (Array.isArray(raw.data)) return raw.data;
+    if (Array.isArray(raw.results)) return raw.results;
+
+    if (raw.providers && typeof raw.providers === 'object') {
+      const all = [];
+      for (const v of Object.values(raw.providers)) {
+        if (Array.isArray(v)) all.push(...v);
+        else if (v && typeof v === 'object') {
+          if (Array.isArray(v.models)) all.push(...v.models);
+          else if (Array.isArray(v.data)) all.push(...v.data);
+        }
+      }
+      if (all.length) return all;
+    }
+
+    const all = [];
+    for (const [k, v] of Object.entries(raw)) {
+      if (Array.isArray(v)) all.push(...v);
+      else if (v && typeof v === 'object') {
+        if (Array.isArray(v.models)) all.push(...v.models);
+        else if (Array.isArray(v.data)) all.push(...v.data);
+      }
+    }
+    if (all.length) return all;
+  }
+
+  return null;
+}
+
+function normalizeToOpenAI(models) {
+  const created = Math.floor(Date.now() / 1000);
+
+  return models
+    .filter(Boolean)
+    .map((m) => {
+      const id = m.id || m.model || m.slug || m.name || m.model_id;
+      const provider = m.provider || m.owned_by || 
+        (typeof id === 'string' && id.includes('/') ? id.split('/')[0] : null) || 'puter';
+
+      return {
+        id,
+        object: 'model',
+        created,
+        owned_by: provider
+      };
+    })
+    .filter((m) => typeof m.id === 'string' && m.id.length > 0);
+}
+
+// Returns OpenAI-shaped model objects; throws when the upstream list is unavailable.
+async function getModels({ provider } = {}) {
+  const cacheKey = provider || '__all__';
+  const now = Date.now();
+  const cached = cache.get(cacheKey);
+  const hit = cached && (now - cached.ts) < CACHE_MS;
+  recordModelCatalog(hit);
+  if (hit) return cached.data;
+
+  const upstreamUrl = provider
+    ? `${PUTER_MODELS_URL}?provider=${encodeURIComponent(provider)}`
+    : PUTER_MODELS_URL;
+
+  const r = await fetch(upstreamUrl, {
+    headers: {
+      'Accept': 'application/json',
+      'Origin': 'https://puter.com'
+    },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+
+  const contentType = (r.headers.get('content-type') || '').toLowerCase();
+
+  if (!r.ok) {
+    const txt = await r.text();
+    throw new Error(`Failed to fetch models: ${r.status} - ${txt}`);
+  }
+
+  let raw;
+  if (contentType.includes('application/json')) {
+    raw = await r.json();
+  } else {
+    const txt = await r.text();
+    try { raw = JSON.parse(txt); }
+    catch { throw new Error(`Models endpoint returned non-JSON content-type: ${contentType || 'unknown'}`); }
+  }
+
+  const arr = toArray(raw);
+  if (!arr) {
+    const hint = typeof raw === 'object' ? Object.keys(raw).slice(0, 20).join(',') : String(raw).slice(0, 200);
+    throw new Error(`Models endpoint returned unexpected shape. Keys/preview: ${hint}`);
+  }
+
+  const data = normalizeToOpenAI(arr);
+  cache.set(cacheKey, { ts: now, data });
+  return data;
+}
+
+module.exports = { getModels };
@@ -0,0 +1,235 @@
+// CommonJS model routing table: which Puter service, interface and upstream name serve a model id
+// Env: PUTER_MODEL_ROUTES (JSON), PUTER_MODEL_ROUTES_FILE (path to the same JSON)
+//
+// Config shape:
+//   {
+//     "aliases": { "fast": "gpt-5-nano" },
+//     "routes": [
+//       { "match": "deepseek-*", "service": "deepseek" },
+//       { "match": ["my-llama"], "service": "together-ai", "model": "meta-llama/Llama-3.3-70B-Instruct-Turbo",
+//         "interface": "legacy" }
+//     ],
+//     "fallbacks": { "claude-sonnet-*": ["gpt-4o", "gpt-5-nano"] },
+//     "default_service": "openai"
+//   }
+// `match` takes exact ids or glob patterns; configured routes win over the built-in ones below.
+// `interface` is primary (default: primary, then legacy), legacy (legacy first), primary-only or legacy-only.
+// Ids no route knows are looked up in Puter's model catalog before falling back to default_service.
+// `fallbacks` maps ids or globs to the models tried, in order, once every token failed for the first.
+
+const fs = require('fs');
+const { getModels } = require('./modelCatalog');
+
+const INTERFACES = ['primary', 'legacy', 'primary-only', 'legacy-only'];
+
+const BUILTIN_ROUTES = [
+  { match: ['gpt-*', 'chatgpt-*', 'o1', 'o1-*', 'o3', 'o3-*', 'o4-*', 'codex-*'], service: 'openai' },
+  { match: ['claude-*'], service: 'claude' },
+  { match: ['gemini-*', 'gemma-*'], service: 'gemini' },
+  { match: ['mistral-*', 'ministral-*', 'magistral-*', 'codestral-*', 'devstral-*', 'pixtral-*', 'open-mistral-*'], service: 'mistral' },
+  { match: ['deepseek-*'], service: 'deepseek' },
+  { match: ['grok-*'], service: 'xai' },
+];
+
+let loaded = null; // { source, table, error }
+
+function isGlob(pattern) {
+  return pattern.includes('*');
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function compileRoute(raw, i) {
+  if (!raw || typeof raw !== 'object') throw new Error(`routes[${i}] must be an object`);
+  const match = Array.isArray(raw.match) ? raw.match : [raw.match];
+  if (!match.length || match.some(m => typeof m !== 'string' || !m)) throw new Error(`routes[${i}].match must be a string or an array of strings`);
+  if (raw.service != null && (typeof raw.service !== 'string' || !raw.service)) throw new Error(`routes[${i}].service must be a string`);
+  if (raw.model != null && (typeof raw.model !== 'string' || !raw.model)) throw new Error(`routes[${i}].model must be a string`);
+  if (raw.interface != null && !INTERFACES.includes(raw.interface)) {
+    throw new Error(`routes[${i}].interface must be one of: ${INTERFACES.join(', ')}`);
+  }
+  if (!raw.service && !raw.model && !raw.interface) throw new Error(`routes[${i}] needs at least one of service, model, interface`);
+  return {
+    match,
+    patterns: match.map(globToRegExp),
+    service: raw.service || null,
+    model: raw.model || null,
+    interface: raw.interface || null,
+  };
+}
+
+function compileTable(raw) {
+  raw = raw || {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('config must be an object');
+  const aliases = {};
+  for (const [name, target] of Object.entries(raw.aliases || {})) {
+    if (typeof target !== 'string' || !target) throw new Error(`aliases.${name} must be a model id`);
+    aliases[name.toLowerCase()] = target;
+  }
+  if (raw.routes != null && !Array.isArray(raw.routes)) throw new Error('routes must be an array');
+  const routes = (raw.routes || []).map(compileRoute);
+  const fallbacks = [];
+  for (const [pattern, chain] of Object.entries(raw.fallbacks || {})) {
+    if (!Array.isArray(chain) || chain.some(m => typeof m !== 'string' || !m)) throw new Error(`fallbacks.${pattern} must be an array of model ids`);
+    fallbacks.push({ pattern, re: globToRegExp(pattern), chain });
+  }
+  return {
+    aliases,
+    fallbacks,
+    routes: routes.concat(BUILTIN_ROUTES.map((r, i) => compileRoute(r, `builtin ${i}`))),
+    configured: routes.length,
+    defaultService: typeof raw.default_service === 'string' && raw.default_service ? raw.default_service : 'openai',
+  };
+}
+
+// Re-reads the config whenever its source changes.
+function table() {
+  const file = process.env.PUTER_MODEL_ROUTES_FILE;
+  let source = `env|${process.env.PUTER_MODEL_ROUTES || ''}`;
+  let text = process.env.PUTER_MODEL_ROUTES || '';
+  try {
+    if (file) {
+      source += `|${file}|${fs.statSync(file).mtimeMs}`;
+      if (loaded?.source === source) return loaded;
+      text = fs.readFileSync(file, 'utf8');
+    }
+    if (loaded?.source === source) return loaded;
+    loaded = { source, table: compileTable(text.trim() ? JSON.parse(text) : null), error: null };
+  } catch (e) {
+    if (loaded?.source === source) return loaded;
+    loaded = { source, table: null, error: `invalid model routing config: ${e.message}` };
+    console.error('Model routes:', loaded.error);
+  }
+  return loaded;
+}
+
+function resolveAlias(t, model) {
+  let id = model;
+  // Aliases may point at other aliases; the depth cap keeps a cycle from spinning.
+  for (let i = 0; i < 8 && t.aliases[id.toLowerCase()]; i++) id = t.aliases[id.toLowerCase()];
+  return id;
+}
+
+function findRoute(t, id) {
+  return t.routes.find(r => r.patterns.some(re => re.test(id))) || null;
+}
+
+// A failed catalog fetch is not retried for a minute, so an outage does not slow every request.
+let catalogFailedAt = 0;
+
+async function catalogService(id) {
+  if (Date.now() - catalogFailedAt < 60 * 1000) return null;
+  try {
+    const models = await getModels();
+    warnRoutes(models);
+    const hit = models.find(m => m.id === id) || models.find(m => m.id.toLowerCase() === id.toLowerCase());
+    return hit && hit.owned_by !== 'puter' ? hit.owned_by : null;
+  } catch {
+    catalogFailedAt = Date.now();
+    return null;
+  }
+}
+
+// Resolves a requested model id to
+// { requested, model (upstream name), service, interface, alias } or { error }.
+async function resolveModel(requested = '') {
+  const t = table();
+  if (t.error) return { error: t.error };
+  const { table: tbl } = t;
+
+  const id = resolveAlias(tbl, requested || '');
+  const route = findRoute(tbl, id);
+  const model = route?.model || id;
+
+  let service = route?.service || null;
+  // "provider/model" ids name their service outright.
+  if (!service && id.includes('/')) service = id.split('/')[0].toLowerCase();
+  if (!service) service = await catalogService(model);
+  if (!service) service = tbl.defaultService;
+
+  return {
+    requested,
+    model,
+    service,
+    interface: route?.interface || 'primary',
+    alias: id !== requested ? id : null,
+  };
+}
+
+// Models to try, in order, when `requested` is unavailable. Matched on the id as sent and,
+// for aliases, on the id it resolves to.
+function fallbacksFor(requested = '') {
+  const t = table();
+  if (!t.table || !requested) return [];
+  const id = resolveAlias(t.table, requested);
+  const hit = t.table.fallbacks.find(f => f.re.test(requested)) || t.table.fallbacks.find(f => f.re.test(id));
+  return hit ? hit.chain.slice() : [];
+}
+
+// Upstream model id an alias ends up at, following alias chains and route renames.
+function aliasTarget(tbl, target) {
+  const id = resolveAlias(tbl, target);
+  return findRoute(tbl, id)?.model || id;
+}
+
+// { alias: upstream model id } for every configured alias.
+function aliasTargets() {
+  const t = table();
+  if (!t.table) return {};
+  const out = {};
+  for (const [name, target] of Object.entries(t.table.aliases)) out[name] = aliasTarget(t.table, target);
+  return out;
+}
+
+// Checks the configured aliases and routes against a model list (as returned by getModels).
+// Returns human-readable warnings; an empty array means everything points at known models.
+function validateRoutes(models) {
+  const t = table();
+  if (t.error) return [t.error];
+  const tbl = t.table;
+  const known = new Set(models.map(m => m.id.toLowerCase()));
+  const warnings = [];
+
+  for (const [name, target] of Object.entries(tbl.aliases)) {
+    const upstream = aliasTarget(tbl, target);
+    if (!known.has(upstream.toLowerCase())) warnings.push(`alias '${name}' points at '${upstream}', which Puter does not list`);
+  }
+
+  for (const f of tbl.fallbacks) {
+    for (const target of f.chain) {
+      const upstream = aliasTarget(tbl, target);
+      if (!known.has(upstream.toLowerCase())) warnings.push(`fallbacks for '${f.pattern}' include '${upstream}', which Puter does not list`);
+    }
+  }
+
+  tbl.routes.slice(0, tbl.configured).forEach((r, i) => {
+    if (r.model && !known.has(r.model.toLowerCase())) {
+      warnings.push(`routes[${i}] sends to model '${r.model}', which Puter does not list`);
+    }
+    for (const m of r.match) {
+      if (isGlob(m)) {
+        if (!models.some(x => globToRegExp(m).test(x.id))) warnings.push(`routes[${i}] pattern '${m}' matches no listed model`);
+      } else if (!r.model && !known.has(m.toLowerCase()) && !tbl.aliases[m.toLowerCase()]) {
+        warnings.push(`routes[${i}] matches '${m}', which Puter does not list`);
+      }
+    }
+  });
+
+  return warnings;
+}
+
+let lastWarnings = '';
+
+// Logs validateRoutes' warnings once per distinct result, i.e. when a routing config or model
+// list is first seen. They are operator-facing and never sent to clients.
+function warnRoutes(models) {
+  const warnings = validateRoutes(models);
+  if (warnings.join('\n') === lastWarnings) return;
+  lastWarnings = warnings.join('\n');
+  for (const w of warnings) console.warn('Model routes:', w);
+}
+
+module.exports = { resolveModel, fallbacksFor, aliasTargets, validateRoutes, warnRoutes };
@@ -0,0 +1,338 @@
+// CommonJS state backends for tokenPool.js
+// Env: PUTER_POOL_STATE (memory | file | redis), PUTER_POOL_STATE_FILE, PUTER_POOL_REDIS_URL,
+//      PUTER_POOL_REDIS_TIMEOUT_MS, PUTER_POOL_PREFIX, PUTER_POOL_RETRY_MS
+//
+// Every backend stores per-token { disabledUntil, failCount } keyed by a token id (a hash,
+// never the raw token) plus a shared round-robin counter, so cooldowns survive cold starts
+// and are seen by every instance pointing at the same file / Redis.
+// Backends also expose expiring counters (incr) for the per-key limits in ./clientKeys.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+// --- memory --------------------------------------------------------------
+
+function createMemoryBackend() {
+  const entries = new Map();
+  const counters = new Map(); // key -> { value, expires }
+  let rr = 0;
+  return {
+    name: 'memory',
+    async load(ids) {
+      const out = {};
+      for (const id of ids) if (entries.has(id)) out[id] = entries.get(id);
+      return out;
+    },
+    async save(id, entry) { entries.set(id, entry); },
+    async nextIndex() { return rr++; },
+    async incr(key, by, ttlMs) {
+      const now = Date.now();
+      let c = counters.get(key);
+      if (!c || c.expires <= now) {
+        for (const [k, v] of counters) if (v.expires <= now) counters.delete(k);
+        c = { value: 0, expires: now + ttlMs };
+        counters.set(key, c);
+      }
+      c.value += by;
+      return c.value;
+    },
+  };
+}
+
+// --- file ----------------------------------------------------------------
+
+// One queue per state file, shared by every backend object pointing at it, so each
+// read-modify-write in this process finishes before the next one reads.
+const fileQueues = new Map(); // file -> Promise
+
+function serialized(file, fn) {
+  const run = (fileQueues.get(file) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  fileQueues.set(file, tail);
+  tail.then(() => { if (fileQueues.get(file) === tail) fileQueues.delete(file); });
+  return run;
+}
+
+function createFileBackend(file) {
+  async function read() {
+    try { return JSON.parse(await fs.readFile(file, 'utf8')); } catch { return { rr: 0, tokens: {} }; }
+  }
+  // Write-then-rename so concurrent readers never see a half-written file.
+  async function write(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tmp, JSON.stringify(data));
+      await fs.rename(tmp, file);
+    } catch (e) {
+      await fs.unlink(tmp).catch(() => {});
+      throw e;
+    }
+  }
+  const update = (fn) => serialized(file, async () => {
+    const data = await read();
+    const result = fn(data);
+    await write(data);
+    return result;
+  });
+
+  return {
+    name: 'file',
+    async load(ids) {
+      const data = await serialized(file, read);
+      const out = {};
+      for (const id of ids) if (data.tokens?.[id]) out[id] = data.tokens[id];
+      return out;
+    },
+    async save(id, entry) {
+      await update((data) => {
+        data.tokens = data.tokens || {};
+        data.tokens[id] = entry;
+      });
+    },
+    async nextIndex() {
+      return update((data) => {
+        const idx = Number(data.rr) || 0;
+        data.rr = idx + 1;
+        return idx;
+      });
+    },
+    async incr(key, by, ttlMs) {
+      return update((data) => {
+        const now = Date.now();
+        const counters = {};
+        for (const [k, v] of Object.entries(data.counters || {})) if (v.expires > now) counters[k] = v;
+        const c = counters[key] || { value: 0, expires: now + ttlMs };
+        c.value += by;
+        counters[key] = c;
+        data.counters = counters;
+        return c.value;
+      });
+    },
+  };
+}
+
+// --- redis (RESP2) -------------------------------------------------------
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// Parses one RESP reply starting at `pos`. Returns [value, nextPos] or null if incomplete.
+function parseReply(buf, pos = 0) {
+  if (pos >= buf.length) return null;
+  const lineEnd = buf.indexOf('\r\n', pos);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[pos]);
+  const line = buf.toString('utf8', pos + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+': return [line, next];
+    case '-': return [Object.assign(new Error(line), { redis: true }), next];
+    case ':': return [Number(line), next];
+    case '$': {
+      const len = Number(line);
+      if (len === -1) return [null, next];
+      if (buf.length < next + len + 2) return null;
+      return [buf.toString('utf8', next, next + len), next + len + 2];
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      let p = next;
+      for (let i = 0; i < count; i++) {
+        const r = parseReply(buf, p);
+        if (!r) return null;
+        items.push(r[0]);
+        p = r[1];
+      }
+      return [items, p];
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+function createRedisClient(url, timeoutMs) {
+  const u = new URL(url);
+  let socket = null;
+  let ready = null;
+  let buf = Buffer.alloc(0);
+  const pending = [];
+
+  function fail(err) {
+    while (pending.length) {
+      const p = pending.shift();
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    buf = Buffer.alloc(0);
+  }
+
+  function onData(chunk) {
+    buf = Buffer.concat([buf, chunk]);
+    let parsed;
+    try { parsed = parseReply(buf); } catch (e) { return fail(e); }
+    while (parsed) {
+      const [value, next] = parsed;
+      buf = buf.subarray(next);
+      const p = pending.shift();
+      if (p) {
+        clearTimeout(p.timer);
+        if (value instanceof Error) p.reject(value); else p.resolve(value);
+      }
+      try { parsed = parseReply(buf); } catch (e) { return fail(e); }
+    }
+  }
+
+  function send(args) {
+    const s = socket;
+    if (!s) return Promise.reject(new Error('Redis connection closed'));
+    return new Promise((resolve, reject) => {
+      // A timer outliving its socket must not tear down the reconnected one.
+      const timer = setTimeout(() => { if (socket === s) fail(new Error('Redis command timed out')); }, timeoutMs);
+      timer.unref?.();
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const port = Number(u.port || 6379);
+      const host = u.hostname || '127.0.0.1';
+      const onConnect = async () => {
+        socket.setTimeout(0);
+        try {
+          if (u.password) {
+            const user = decodeURIComponent(u.username || '');
+            await send(user ? ['AUTH', user, decodeURIComponent(u.password)] : ['AUTH', decodeURIComponent(u.password)]);
+          }
+          const db = u.pathname.replace('/', '');
+          if (db) await send(['SELECT', db]);
+          resolve();
+        } catch (e) { fail(e); reject(e); }
+      };
+      const s = u.protocol === 'rediss:'
+        ? tls.connect({ host, port, servername: host }, onConnect)
+        : net.connect({ host, port }, onConnect);
+      socket = s;
+      // Events from a socket we already gave up on must not tear down its replacement.
+      const onFail = (e) => { if (socket === s) fail(e); reject(e); };
+      s.setNoDelay(true);
+      s.setTimeout(timeoutMs, () => onFail(new Error('Redis connection timed out')));
+      s.on('data', (chunk) => { if (socket === s) onData(chunk); });
+      s.on('error', onFail);
+      s.on('close', () => onFail(new Error('Redis connection closed')));
+    });
+    return ready;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+  };
+}
+
+// INCRBY plus an expiry for a key that has none, in one step: a counter must never be left
+// without a TTL by a crash or a failed second command.
+const INCR_SCRIPT = `
+local v = redis.call('INCRBY', KEYS[1], ARGV[1])
+if redis.call('PTTL', KEYS[1]) < 0 then redis.call('PEXPIRE', KEYS[1], ARGV[2]) end
+return v`;
+
+function createRedisBackend(url, { prefix, timeoutMs }) {
+  const client = createRedisClient(url, timeoutMs);
+  const hashKey = `${prefix}:tokens`;
+  const rrKey = `${prefix}:rr`;
+
+  return {
+    name: 'redis',
+    async load(ids) {
+      if (!ids.length) return {};
+      const values = await client.command('HMGET', hashKey, ...ids);
+      const out = {};
+      ids.forEach((id, i) => {
+        if (values?.[i]) { try { out[id] = JSON.parse(values[i]); } catch {} }
+      });
+      return out;
+    },
+    async save(id, entry) {
+      await client.command('HSET', hashKey, id, JSON.stringify(entry));
+    },
+    async nextIndex() {
+      // INCR is atomic, so parallel instances never hand out the same slot.
+      return (await client.command('INCR', rrKey)) - 1;
+    },
+    async incr(key, by, ttlMs) {
+      return client.command('EVAL', INCR_SCRIPT, 1, `${prefix}:n:${key}`, by, ttlMs);
+    },
+  };
+}
+
+// --- selection -----------------------------------------------------------
+
+let backend = null;
+let backendKey = null;
+
+function getStateBackend() {
+  const kind = (process.env.PUTER_POOL_STATE || 'memory').toLowerCase();
+  const file = process.env.PUTER_POOL_STATE_FILE || path.join(os.tmpdir(), 'puter-token-pool.json');
+  const redisUrl = process.env.PUTER_POOL_REDIS_URL || 'redis://127.0.0.1:6379';
+  const key = `${kind}|${file}|${redisUrl}`;
+  if (backend && backendKey === key) return backend;
+
+  if (kind === 'file') backend = createFileBackend(file);
+  else if (kind === 'redis') {
+    backend = createRedisBackend(redisUrl, {
+      prefix: process.env.PUTER_POOL_PREFIX || 'puter-pool',
+      timeoutMs: Math.max(100, Number(process.env.PUTER_POOL_REDIS_TIMEOUT_MS || 1000)),
+    });
+  } else backend = createMemoryBackend();
+
+  backendKey = key;
+  return backend;
+}
+
+// Returns a runner that hands fn the configured backend, or an in-memory one when that fails,
+// so an outage never takes the proxy down. A failed backend is left alone for
+// PUTER_POOL_RETRY_MS (default 30s): the outage costs one timeout per window, not one per call.
+function withFallback(label) {
+  const memory = createMemoryBackend();
+  let downUntil = 0;
+  let down = false;
+  return async (fn) => {
+    if (Date.now() < downUntil) return fn(memory);
+    try {
+      const result = await fn(getStateBackend());
+      if (down) console.warn(`${label} state backend is back`);
+      down = false;
+      return result;
+    } catch (e) {
+      const retryMs = Math.max(1000, Number(process.env.PUTER_POOL_RETRY_MS || 30 * 1000));
+      downUntil = Date.now() + retryMs;
+      if (!down) console.warn(`${label} state backend unavailable, using in-memory state (retrying every ${retryMs}ms):`, e?.message || e);
+      down = true;
+      return fn(memory);
+    }
+  };
+}
+
+module.exports = { getStateBackend, createMemoryBackend, createFileBackend, createRedisBackend, withFallback };
@@ -0,0 +1,836 @@
+// Shared Puter chat driver plumbing (CommonJS)
+// Used by every chat-shaped route: token rotation, primary -> legacy interface fallback,
+// OpenAI message/result translation and upstream stream decoding.
+// Env: PUTER_UPSTREAM_TIMEOUT_MS (per attempt, until the answer or the stream headers arrive)
+
+const { getToken, reportTokenResult } = require('./tokenPool');
+const { checkContentSupport, toPrimaryMessages, toLegacyMessages } = require('./content');
+const { resolveModel, fallbacksFor } = require('./modelRoutes');
+const { readFrames } = require('./streamFrames');
+const { applyResponseFormat } = require('./structuredOutput');
+const { recordUpstream, recordRetry, recordDroppedPayload } = require('./metrics');
+
+const DRIVER_PATH = '/drivers/call';
+const HOSTS = ['https://api.puter.com', 'https://puter.com'];
+const HEARTBEAT_MS = Math.max(3000, Number(process.env.SSE_HEARTBEAT_MS || 8000));
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 50 * 1000;
+
+function mapOpenAIService(service) {
+  if (service !== 'openai') return service;
+  return process.env.PUTER_OPENAI_SERVICE || 'openai-completion';
+}
+
+function normalizeContent(value) {
+  if (value == null) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    return value.map(p => {
+      if (!p) return '';
+      if (typeof p === 'string') return p;
+      if (typeof p === 'object') return p.text || p.content || JSON.stringify(p);
+      return String(p);
+    }).join('');
+  }
+  try { return JSON.stringify(value); } catch { return String(value); }
+}
+
+function toolCallId() {
+  return 'call_' + Math.random().toString(36).slice(2, 12) + Date.now().toString(36);
+}
+
+function stringifyArgs(args) {
+  if (args == null) return '{}';
+  if (typeof args === 'string') return args;
+  try { return JSON.stringify(args); } catch { return String(args); }
+}
+
+// Accepts OpenAI tool_calls, legacy function_call objects and Anthropic tool_use blocks.
+function normalizeToolCalls(list) {
+  if (!list) return [];
+  const arr = Array.isArray(list) ? list : [list];
+  return arr.filter(Boolean).map(tc => {
+    if (tc.type === 'tool_use') {
+      return { id: tc.id || toolCallId(), type: 'function', function: { name: tc.name, arguments: stringifyArgs(tc.input) } };
+    }
+    const fn = tc.function || tc;
+    return {
+      id: tc.id || toolCallId(),
+      type: 'function',
+      function: { name: fn.name, arguments: stringifyArgs(fn.arguments ?? fn.input) },
+    };
+  }).filter(tc => typeof tc.function.name === 'string' && tc.function.name);
+}
+
+// Sanitize outgoing messages so tool round-trips survive both Puter interfaces.
+function prepareMessages(messages) {
+  return messages.map(m => {
+    if (!m || typeof m !== 'object') return m;
+    if (m.role === 'tool' || m.role === 'function') {
+      return {
+        role: 'tool',
+        tool_call_id: m.tool_call_id || m.name,
+        content: typeof m.content === 'string' ? m.content : normalizeContent(m.content),
+      };
+    }
+    if (m.role === 'assistant' && (m.tool_calls || m.function_call)) {
+      return {
+        ...m,
+        content: m.content ?? '',
+        tool_calls: normalizeToolCalls(m.tool_calls || m.function_call),
+        function_call: undefined,
+      };
+    }
+    return m;
+  });
+}
+
+function mapFinishReason(reason, hasToolCalls) {
+  if (hasToolCalls) return 'tool_calls';
+  switch (reason) {
+    case 'length':
+    case 'max_tokens':
+      return 'length';
+    case 'content_filter':
+      return 'content_filter';
+    case 'tool_calls':
+    case 'tool_use':
+    case 'function_call':
+      return 'tool_calls';
+    default:
+      return 'stop';
+  }
+}
+
+// Turn any upstream result shape into an OpenAI assistant message + finish_reason.
+function toAssistantMessage(result) {
+  const msg = result?.message ?? result?.choices?.[0]?.message ?? null;
+  let raw = msg ? msg.content : (result?.content ?? result);
+  let toolCalls = normalizeToolCalls(msg?.tool_calls ?? result?.tool_calls ?? msg?.function_call);
+
+  if (Array.isArray(raw)) {
+    const blocks = raw.filter(p => p && typeof p === 'object' && p.type === 'tool_use');
+    if (blocks.length) toolCalls = toolCalls.concat(normalizeToolCalls(blocks));
+    raw = raw.filter(p => !(p && typeof p === 'object' && p.type === 'tool_use'));
+  }
+
+  const content = normalizeContent(raw);
+  const message = { role: 'assistant', content: toolCalls.length && !content ? null : content };
+  if (toolCalls.length) message.tool_calls = toolCalls;
+
+  const reason = result?.finish_reason ?? result?.choices?.[0]?.finish_reason ?? result?.stop_reason ?? msg?.stop_reason;
+  return { message, finish_reason: mapFinishReason(reason, toolCalls.length > 0) };
+}
+
+function upstreamUsageOf(result) {
+  return result?.usage ?? result?.message?.usage ?? result?.choices?.[0]?.usage;
+}
+
+// Tells clients which model answered; after an alias or a fallback that is not the one requested.
+function setAnsweredModel(res, model) {
+  if (model) res.setHeader('X-Puter-Model', model);
+}
+
+function sseHeaders(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+}
+
+function startHeartbeat(beat) {
+  const t = setInterval(() => {
+    try { beat(); } catch {}
+  }, HEARTBEAT_MS);
+  t.unref?.();
+  return t;
+}
+
+function abortError(name, message) {
+  return Object.assign(new Error(message), { name });
+}
+
+function isAbortError(e) {
+  return e?.name === 'AbortError' || e?.name === 'ClientAbortError' || e?.name === 'TimeoutError';
+}
+
+// Aborts once the client goes away before we finished answering it.
+function clientSignal(req, res) {
+  const ctrl = new AbortController();
+  const onClose = () => {
+    if (!res.writableFinished) ctrl.abort(abortError('ClientAbortError', 'Client closed request'));
+  };
+  res.on?.('close', onClose);
+  req.on?.('aborted', onClose);
+  return ctrl.signal;
+}
+
+function upstreamTimeoutMs() {
+  return Math.max(1000, Number(process.env.PUTER_UPSTREAM_TIMEOUT_MS || DEFAULT_UPSTREAM_TIMEOUT_MS));
+}
+
+// Signal for one upstream attempt: fires on client abort or when the attempt times out.
+// settle() drops the timeout once a stream is flowing; done() also detaches from the client.
+function startAttempt(signal) {
+  const ms = upstreamTimeoutMs();
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(abortError('TimeoutError', `Upstream did not answer within ${ms}ms`)), ms);
+  const onAbort = () => ctrl.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  return {
+    signal: ctrl.signal,
+    settle() { clearTimeout(timer); },
+    done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+// Outcome for a request whose client disconnected. Not the token's fault, so never reported.
+function clientAborted() {
+  return { ok: false, status: 499, message: 'Client closed request', aborted: true };
+}
+
+async function fetchUpstream({ token, body, signal }) {
+  let lastErr = null;
+  for (const [i, host] of HOSTS.entries()) {
+    try {
+      const r = await fetch(host + DRIVER_PATH, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
+          'Origin': 'https://puter.com',
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+        },
+        body: JSON.stringify(body),
+        signal,
+      });
+      return { response: r, host };
+    } catch (e) {
+      // An aborted attempt must not move on to the next host.
+      if (signal?.aborted) throw signal.reason || e;
+      lastErr = e;
+      if (i < HOSTS.length - 1) recordRetry('host');
+    }
+  }
+  throw lastErr || new Error('All upstream hosts failed');
+}
+
+async function readJsonSafe(r) {
+  const ct = (r.headers.get('content-type') || '').toLowerCase();
+  if (!ct.includes('application/json')) return null;
+  try { return await r.json(); } catch { return null; }
+}
+
+async function readTextSafe(r) {
+  try { return await r.text(); } catch { return ''; }
+}
+
+function splitArgs(str, size = 24) {
+  const out = [];
+  for (let i = 0; i < str.length; i += size) out.push(str.slice(i, i + size));
+  return out;
+}
+
+// Error message carried by a driver envelope or provider error frame, if any.
+function upstreamErrorOf(j) {
+  const describe = (e) => (typeof e === 'string' ? e : e?.message || JSON.stringify(e));
+  if (j.success === false) return describe(j.error || j);
+  if (j.type === 'error') return describe(j.error || j.message || j);
+  if (j.error && j.choices == null && j.message == null && j.text == null) return describe(j.error);
+  return null;
+}
+
+// Decodes an upstream streaming body into neutral events:
+//   { type: 'text', text }
+//   { type: 'reasoning', text }  (model thinking, kept apart from the answer)
+//   { type: 'tool_call_start', key, id, name }
+//   { type: 'tool_call_delta', key, arguments }
+//   { type: 'usage', usage }   (cumulative upstream usage so far)
+//   { type: 'finish', reason } (upstream finish reason, mapped to OpenAI's names)
+//   { type: 'error', message } (upstream error frame or broken stream; consumers stop there)
+async function* readUpstreamEvents(upstreamResponse) {
+  const reader = upstreamResponse.body?.getReader?.(); // Node 18+ fetch
+  if (!reader) return;
+
+  const toolKeys = new Set();
+  let usage = null;
+
+  // Returns the events for one parsed JSON payload, or null if it carried nothing we recognize.
+  function fromJson(j) {
+    if (!j || typeof j !== 'object') return null;
+    const err = upstreamErrorOf(j);
+    if (err) return [{ type: 'error', message: err }];
+    const out = [];
+
+    const u = j.usage ?? j.message?.usage;
+    if (Array.isArray(u)) usage = u;
+    else if (u && typeof u === 'object') usage = { ...(Array.isArray(usage) ? {} : usage), ...u };
+    if (u) out.push({ type: 'usage', usage });
+    if (j.type === 'usage' || j.type === 'message_start' || j.type === 'message_delta') return out;
+    if (u && Array.isArray(j.choices) && j.choices.length === 0) return out;
+
+    const startTool = (key, id, name) => {
+      toolKeys.add(key);
+      out.push({ type: 'tool_call_start', key, id: id || toolCallId(), name });
+    };
+    const toolArgs = (key, fragment) => {
+      if (fragment && toolKeys.has(key)) out.push({ type: 'tool_call_delta', key, arguments: fragment });
+    };
+    const wholeToolCall = (key, tc) => {
+      startTool(key, tc.id, tc.function.name);
+      for (const part of splitArgs(tc.function.arguments)) toolArgs(key, part);
+    };
+
+    // OpenAI chat chunks.
+    const delta = j.choices?.[0]?.delta;
+    if (delta && typeof delta === 'object') {
+      const thinking = delta.reasoning_content ?? delta.reasoning;
+      if (typeof thinking === 'string' && thinking) out.push({ type: 'reasoning', text: thinking });
+      for (const tc of Array.isArray(delta.tool_calls) ? delta.tool_calls : []) {
+        const key = 'oa:' + (tc.index ?? 0);
+        if (!toolKeys.has(key)) startTool(key, tc.id, tc.function?.name);
+        toolArgs(key, tc.function?.arguments);
+      }
+      const text = normalizeContent(delta.content);
+      if (text) out.push({ type: 'text', text });
+      return out;
+    }
+
+    // Puter's NDJSON chunks: { type: 'text', text }, { type: 'reasoning', reasoning }, tool_use.
+    if (j.type === 'text' && typeof j.text === 'string') {
+      if (j.text) out.push({ type: 'text', text: j.text });
+      return out;
+    }
+    if (j.type === 'reasoning' || j.type === 'thinking') {
+      const thinking = j.reasoning ?? j.thinking ?? j.text;
+      if (typeof thinking === 'string' && thinking) out.push({ type: 'reasoning', text: thinking });
+      return out;
+    }
+
+    if (j.type === 'tool_use') {
+      const [tc] = normalizeToolCalls([j]);
+      if (tc) wholeToolCall('tu:' + (j.id || toolKeys.size), tc);
+      return out;
+    }
+    if (j.type === 'content_block_start' && j.content_block?.type === 'tool_use') {
+      startTool('blk:' + j.index, j.content_block.id, j.content_block.name);
+      return out;
+    }
+    if (j.type === 'content_block_delta' && j.delta?.type === 'input_json_delta') {
+      toolArgs('blk:' + j.index, j.delta.partial_json);
+      return out;
+    }
+    if (j.type === 'content_block_delta' && j.delta?.type === 'text_delta') {
+      if (j.delta.text) out.push({ type: 'text', text: j.delta.text });
+      return out;
+    }
+    if (j.type === 'content_block_delta' && j.delta?.type === 'thinking_delta') {
+      if (j.delta.thinking) out.push({ type: 'reasoning', text: j.delta.thinking });
+      return out;
+    }
+    // Anthropic bookkeeping events carry nothing for us.
+    if (['content_block_start', 'content_block_stop', 'content_block_delta', 'message_stop', 'ping'].includes(j.type)) return out;
+
+    const fullCalls = j.choices?.[0]?.message?.tool_calls ?? j.message?.tool_calls ?? j.tool_calls;
+    if (Array.isArray(fullCalls) && fullCalls.length) {
+      for (const tc of normalizeToolCalls(fullCalls)) wholeToolCall('full:' + tc.id, tc);
+      const text = normalizeContent(j.choices?.[0]?.message?.content ?? j.message?.content ?? '');
+      if (text) out.push({ type: 'text', text });
+      return out;
+    }
+
+    return out.length ? out : null;
+  }
+
+  // OpenAI chunks carry it on the last choice delta, Anthropic on message_delta.
+  function finishOf(j) {
+    if (!j || typeof j !== 'object') return null;
+    const reason = j.choices?.[0]?.finish_reason
+      ?? (j.type === 'message_delta' ? j.delta?.stop_reason : null)
+      ?? j.finish_reason ?? j.stop_reason;
+    return reason ? mapFinishReason(reason, false) : null;
+  }
+
+  // Whole-message shapes (a non-streamed answer sent down a stream), legacy `{ text }` chunks
+  // and bare JSON strings.
+  function textOf(j) {
+    if (typeof j === 'string') return j;
+    const text = j?.choices?.[0]?.message?.content ?? j?.message?.content ?? j?.result?.message?.content ?? j?.content
+      ?? (typeof j?.text === 'string' ? j.text : null);
+    return text == null ? '' : normalizeContent(text);
+  }
+
+  // Skipped quietly; /v1/metrics counts them.
+  const dropped = () => recordDroppedPayload();
+
+  let finished = false;
+  try {
+    const frames = readFrames(reader, { contentType: upstreamResponse.headers?.get?.('content-type') });
+    for (;;) {
+      let frame;
+      try {
+        frame = await frames.next();
+      } catch (e) {
+        // The client left (or the attempt was cancelled): end quietly, the caller checks its socket.
+        if (isAbortError(e)) return;
+        yield { type: 'error', message: `Upstream stream failed: ${e?.message || e}` };
+        return;
+      }
+      if (frame.done) { finished = true; break; }
+      const f = frame.value;
+
+      if (f.text != null) {
+        if (f.text) yield { type: 'text', text: f.text };
+        continue;
+      }
+
+      const data = f.data;
+      if (data.trim() === '[DONE]') { finished = true; break; }
+      let j;
+      let parsed = false;
+      try { j = JSON.parse(data); parsed = true; } catch {}
+
+      if (f.event === 'error') {
+        const message = (parsed && j && typeof j === 'object' && (upstreamErrorOf(j) || j.message)) || data || 'Upstream stream error';
+        yield { type: 'error', message: String(message) };
+        return;
+      }
+
+      if (!parsed) {
+        // Non-JSON SSE data is plain text; a JSON payload that failed to parse is not content.
+        if (f.sse && !/^\s*[{[]/.test(data)) { if (data) yield { type: 'text', text: data }; }
+        else dropped();
+        continue;
+      }
+
+      const finish = finishOf(j);
+      const events = fromJson(j);
+      if (events) yield* events;
+      else {
+        const text = textOf(j);
+        if (text) yield { type: 'text', text };
+        else if (!finish && (!j || typeof j !== 'object' || !j.type)) dropped();
+      }
+      if (finish) yield { type: 'finish', reason: finish };
+    }
+  } finally {
+    // Stop the upstream transfer when the consumer quits early (stop sequence, error, client gone).
+    if (!finished) reader.cancel().catch(() => {});
+  }
+}
+
+// Replays a whole (non-streamed) result as stream events, for answers that had to be checked
+// before any of it could be sent.
+async function* resultEvents(result) {
+  const { message, finish_reason } = toAssistantMessage(result);
+  if (message.content) yield { type: 'text', text: message.content };
+  for (const tc of message.tool_calls || []) {
+    yield { type: 'tool_call_start', key: tc.id, id: tc.id, name: tc.function.name };
+    if (tc.function.arguments) yield { type: 'tool_call_delta', key: tc.id, arguments: tc.function.arguments };
+  }
+  const usage = upstreamUsageOf(result);
+  if (usage) yield { type: 'usage', usage };
+  yield { type: 'finish', reason: finish_reason };
+}
+
+// Reads ahead until the stream proves itself with real content (text, reasoning or a tool call), so a
+// stream that errors or closes empty can still be retried before anything reaches the client.
+// Returns { ok: true, events } replaying what was read, or { ok: false, message }.
+async function primeStream(response) {
+  const it = readUpstreamEvents(response);
+  const buffered = [];
+  for (;;) {
+    const { done, value } = await it.next();
+    if (done) return { ok: false, message: 'Upstream stream ended before any content' };
+    if (value.type === 'error') {
+      await it.return();
+      return { ok: false, message: value.message };
+    }
+    buffered.push(value);
+    if (((value.type === 'text' || value.type === 'reasoning') && value.text) || value.type === 'tool_call_start') break;
+  }
+  async function* replay() {
+    try {
+      yield* buffered;
+      yield* it;
+    } finally {
+      await it.return();
+    }
+  }
+  return { ok: true, events: replay() };
+}
+
+// Incremental stop-sequence matcher. Holds back just enough text to catch a stop
+// sequence that is split across upstream chunks.
+function createStopMatcher(stop) {
+  const seqs = (Array.isArray(stop) ? stop : [stop]).filter(s => typeof s === 'string' && s.length);
+  const hold = seqs.reduce((m, s) => Math.max(m, s.length - 1), 0);
+  let pending = '';
+  let stopped = false;
+  let matched = null;
+
+  return {
+    get stopped() { return stopped; },
+    // The sequence that ended the text, or null.
+    get matched() { return matched; },
+    push(text) {
+      if (stopped) return '';
+      if (!seqs.length) return text;
+      pending += text;
+      let cut = -1;
+      for (const s of seqs) {
+        const i = pending.indexOf(s);
+        if (i !== -1 && (cut === -1 || i < cut)) { cut = i; matched = s; }
+      }
+      if (cut !== -1) {
+        stopped = true;
+        const out = pending.slice(0, cut);
+        pending = '';
+        return out;
+      }
+      const safe = pending.length - hold;
+      if (safe <= 0) return '';
+      const out = pending.slice(0, safe);
+      pending = pending.slice(safe);
+      return out;
+    },
+    flush() {
+      const out = stopped ? '' : pending;
+      pending = '';
+      return out;
+    },
+  };
+}
+
+// OpenAI sampling parameters -> driver options. Both interfaces take OpenAI's names, and Puter
+// passes on what the provider understands. `stop` is forwarded and also enforced by callers
+// (createStopMatcher), since not every provider honours it.
+// Returns { options } or { error } naming the first out-of-range parameter.
+function samplingOptions(body = {}) {
+  const given = (k) => body[k] !== undefined && body[k] !== null;
+  const ranges = { temperature: [0, 2], top_p: [0, 1], presence_penalty: [-2, 2], frequency_penalty: [-2, 2] };
+  for (const [k, [min, max]] of Object.entries(ranges)) {
+    if (given(k) && !(typeof body[k] === 'number' && body[k] >= min && body[k] <= max)) {
+      return { error: `${k} must be a number between ${min} and ${max}` };
+    }
+  }
+  for (const k of ['max_tokens', 'max_completion_tokens']) {
+    if (given(k) && !(Number.isInteger(body[k]) && body[k] > 0)) return { error: `${k} must be a positive integer` };
+  }
+  if (given('seed') && !Number.isInteger(body.seed)) return { error: 'seed must be an integer' };
+  if (given('stop')) {
+    const list = Array.isArray(body.stop) ? body.stop : [body.stop];
+    if (list.length > 4 || list.some(s => typeof s !== 'string')) return { error: 'stop must be a string or an array of up to 4 strings' };
+  }
+  if (given('logit_bias')) {
+    const bias = body.logit_bias;
+    if (typeof bias !== 'object' || Array.isArray(bias) || Object.values(bias).some(v => typeof v !== 'number' || v < -100 || v > 100)) {
+      return { error: 'logit_bias must map token ids to numbers between -100 and 100' };
+    }
+  }
+  if (given('user') && typeof body.user !== 'string') return { error: 'user must be a string' };
+  if (given('parallel_tool_calls') && typeof body.parallel_tool_calls !== 'boolean') return { error: 'parallel_tool_calls must be a boolean' };
+
+  const hasTools = Array.isArray(body.tools) && body.tools.length > 0;
+  return {
+    options: {
+      max_tokens: body.max_completion_tokens ?? body.max_tokens,
+      temperature: body.temperature,
+      top_p: body.top_p,
+      stop: body.stop,
+      seed: body.seed,
+      presence_penalty: body.presence_penalty,
+      frequency_penalty: body.frequency_penalty,
+      logit_bias: body.logit_bias,
+      user: body.user,
+      // Providers reject parallel_tool_calls on a request without tools.
+      parallel_tool_calls: hasTools ? body.parallel_tool_calls : undefined,
+    },
+  };
+}
+
+function cleanArgs(options) {
+  const out = {};
+  for (const [k, v] of Object.entries(options || {})) if (v !== undefined && v !== null) out[k] = v;
+  return out;
+}
+
+// Reads a driver response body once, as JSON when it parses.
+async function readDriverBody(r) {
+  const text = await readTextSafe(r);
+  try { return { json: JSON.parse(text), text }; } catch { return { json: null, text }; }
+}
+
+// Orders the driver bodies to try for one token according to the route's interface preference.
+function interfaceChain(preference, primaryBody, legacyBody) {
+  if (preference === 'primary-only') return [primaryBody];
+  if (preference === 'legacy-only') return [legacyBody].filter(Boolean);
+  if (preference === 'legacy') return [legacyBody, primaryBody].filter(Boolean);
+  return [primaryBody, legacyBody].filter(Boolean);
+}
+
+// One model across the token pool. Successful outcomes carry `model`, the upstream id that answered.
+// `audit` (see ./auditLog) hears about every upstream call.
+async function runModel({ model, messages, stream, options, signal, audit }) {
+  const route = await resolveModel(model);
+  if (route.error) return { ok: false, status: 500, message: 'Server misconfiguration: ' + route.error, type: 'server_error' };
+  const service = mapOpenAIService(route.service);
+  const upstreamModel = route.model;
+  const unsupported = checkContentSupport(messages, service, upstreamModel);
+  if (unsupported) return { ok: false, status: 400, message: unsupported, type: 'invalid_request_error' };
+
+  // response_format depends on the service, which a fallback may change, so it is applied per model.
+  const applied = applyResponseFormat(service, messages, cleanArgs(options));
+  const extra = applied.args;
+  messages = applied.messages;
+
+  const primaryBody = {
+    interface: 'puter-chat-completion', service, method: 'complete',
+    args: { messages: toPrimaryMessages(messages, service), model: upstreamModel, stream, ...extra },
+  };
+  // Audio / file parts cannot be expressed on the legacy interface; those requests skip the fallback.
+  const legacy = toLegacyMessages(messages);
+  const legacyBody = legacy && {
+    interface: 'puter.ai', method: 'chat',
+    args: [legacy.messages, { model: upstreamModel, stream, ...extra, ...(legacy.vision ? { vision: true } : {}) }],
+  };
+
+  const chain = interfaceChain(route.interface, primaryBody, legacyBody);
+  if (!chain.length) {
+    return { ok: false, status: 400, message: `model '${model}' is routed to the legacy interface, which cannot carry audio or file parts`, type: 'invalid_request_error' };
+  }
+
+  const maxAttempts = Math.max(1, Number(process.env.PUTER_TOKEN_MAX_ATTEMPTS || 3));
+  let lastMsg = null;
+  let lastStatus = 502;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (signal?.aborted) return clientAborted();
+    const token = await getToken();
+    if (!token) break;
+    if (attempt > 0) recordRetry('token');
+
+    const run = startAttempt(signal);
+    let streaming = false;
+    let logAttempt = null;
+    try {
+      for (const [i, driverBody] of chain.entries()) {
+        const started = Date.now();
+        let host = null;
+        logAttempt = (status, error) => {
+          const entry = {
+            model: upstreamModel, service, interface: driverBody.interface === 'puter.ai' ? 'legacy' : 'primary',
+            token, host, status, ms: Date.now() - started, ...(error ? { error: String(error).slice(0, 500) } : {}),
+          };
+          recordUpstream(entry);
+          audit?.attempt(entry);
+        };
+        const fetched = await fetchUpstream({ token, body: driverBody, signal: run.signal });
+        const r = fetched.response;
+        host = fetched.host;
+
+        // A stream only counts once it produced content; until then it can still fail over.
+        if (stream && r.ok && r.body) {
+          const primed = await primeStream(r);
+          if (run.signal.aborted) throw run.signal.reason;
+          if (primed.ok) {
+            logAttempt(r.status);
+            run.settle();
+            streaming = true;
+            await reportTokenResult(token, { ok: true, status: 200 });
+            return { ok: true, events: primed.events, model: upstreamModel };
+          }
+          logAttempt(502, primed.message);
+          if (i < chain.length - 1) {
+            recordRetry('interface');
+            continue;
+          }
+          lastMsg = primed.message;
+          lastStatus = 502;
+          await reportTokenResult(token, { ok: false, status: 502 });
+          break;
+        }
+
+        const { json, text } = await readDriverBody(r);
+        if (run.signal.aborted) throw run.signal.reason;
+        if (r.ok && (!json || json.success !== false)) {
+          logAttempt(r.status);
+          await reportTokenResult(token, { ok: true, status: 200 });
+          return { ok: true, result: json?.result ?? json ?? text, model: upstreamModel };
+        }
+        logAttempt(r.ok ? 502 : r.status, json?.error?.message || (json ? JSON.stringify(json.error || json) : text));
+
+        // --- AGGRESSIVE FALLBACK LOGIC ---
+        // Any failure on an interface that has a fallback (even a 504) is taken to mean it is
+        // broken or unsupported for this model, so we go straight to the next interface.
+        if (i < chain.length - 1) {
+          recordRetry('interface');
+          continue;
+        }
+
+        const status = r.ok ? 502 : r.status;
+        lastMsg = json?.error?.message || (json ? JSON.stringify(json.error || json) : text);
+        lastStatus = status;
+        await reportTokenResult(token, { ok: false, status });
+        // Retry auth / rate-limit / server errors on the next token
+        if (![401, 403, 429].includes(status) && status < 500) return { ok: false, status, message: lastMsg };
+      }
+    } catch (e) {
+      if (signal?.aborted) return clientAborted();
+      const timedOut = e?.name === 'TimeoutError';
+      lastMsg = String(e?.message || e);
+      lastStatus = timedOut ? 504 : 502;
+      logAttempt?.(lastStatus, lastMsg);
+      await reportTokenResult(token, { ok: false, status: timedOut ? 504 : 599 });
+      continue;
+    } finally {
+      // A returned stream stays tied to the client signal until it has been read.
+      if (!streaming) run.done();
+    }
+  }
+
+  return { ok: false, status: lastStatus, message: lastMsg || 'All tokens failed' };
+}
+
+// A model that failed this way may be down or out of credit; anything else is the caller's fault.
+function isUnavailable(outcome) {
+  return outcome.status >= 500 || [401, 403, 404, 429].includes(outcome.status);
+}
+
+// Runs one chat request across the token pool.
+// Resolves to { ok: true, result | events, model } on success, where `model` is the model that
+// answered and `events` is the primed event stream (see readUpstreamEvents) when `stream` was
+// requested; { ok: false, status, message, type? } once every token (or a non-retryable error) has failed.
+// `model` runs first, then its configured fallback chain (see ./modelRoutes) once every token
+// has failed for it. `allowModel` filters the chain, e.g. to a client key's allowed models.
+async function runChat({ model, messages, stream = false, options = {}, allowModel = () => true, signal, audit }) {
+  const first = await runModel({ model, messages, stream, options, signal, audit });
+  if (first.ok || first.aborted || !isUnavailable(first)) return first;
+
+  const tried = [];
+  for (const candidate of fallbacksFor(model)) {
+    if (candidate === model || tried.includes(candidate)) continue;
+    // An alias counts as allowed when the model it resolves to is.
+    if (!allowModel(candidate) && !allowModel((await resolveModel(candidate)).model)) continue;
+    tried.push(candidate);
+    recordRetry('model');
+    const outcome = await runModel({ model: candidate, messages, stream, options, signal, audit });
+    if (outcome.ok || outcome.aborted) return outcome;
+  }
+
+  if (!tried.length) return first;
+  return { ...first, message: `${first.message} (fallbacks also failed: ${tried.join(', ')})` };
+}
+
+// Runs one non-chat driver call (images, audio, ...) across the token pool with the same
+// retry policy as runChat. Binary answers come back as { ok: true, binary, contentType },
+// JSON/text answers as { ok: true, result, contentType }.
+async function runDriver(driverBody, { signal, audit } = {}) {
+  const maxAttempts = Math.max(1, Number(process.env.PUTER_TOKEN_MAX_ATTEMPTS || 3));
+  let lastMsg = null;
+  let lastStatus = 502;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (signal?.aborted) return clientAborted();
+    const token = await getToken();
+    if (!token) break;
+    if (attempt > 0) recordRetry('token');
+
+    const run = startAttempt(signal);
+    const started = Date.now();
+    let host = null;
+    const logAttempt = (status, error) => {
+      const entry = {
+        model: driverBody.args?.model ?? null, service: driverBody.service ?? null, interface: driverBody.interface,
+        token, host, status, ms: Date.now() - started, ...(error ? { error: String(error).slice(0, 500) } : {}),
+      };
+      recordUpstream(entry);
+      audit?.attempt(entry);
+    };
+    try {
+      const fetched = await fetchUpstream({ token, body: driverBody, signal: run.signal });
+      const r = fetched.response;
+      host = fetched.host;
+      const contentType = (r.headers.get('content-type') || '').toLowerCase();
+      const isText = !contentType || contentType.includes('json') || contentType.startsWith('text/');
+
+      if (r.ok && !isText) {
+        const binary = Buffer.from(await r.arrayBuffer());
+        logAttempt(r.status);
+        await reportTokenResult(token, { ok: true, status: 200 });
+        return { ok: true, binary, contentType: contentType.split(';')[0] };
+      }
+
+      const text = await readTextSafe(r);
+      if (run.signal.aborted) throw run.signal.reason;
+      let json = null;
+      try { json = JSON.parse(text); } catch {}
+
+      if (json && typeof json === 'object' && json.success === false) {
+        lastMsg = json?.error?.message || JSON.stringify(json.error || json);
+        lastStatus = 502;
+        logAttempt(502, lastMsg);
+        await reportTokenResult(token, { ok: false, status: 502 });
+        continue;
+      }
+      if (!r.ok) {
+        lastMsg = text;
+        lastStatus = r.status;
+        logAttempt(r.status, text);
+        await reportTokenResult(token, { ok: false, status: r.status });
+        if ([401, 403, 429].includes(r.status) || r.status >= 500) continue;
+        return { ok: false, status: r.status, message: text };
+      }
+
+      logAttempt(r.status);
+      await reportTokenResult(token, { ok: true, status: 200 });
+      return { ok: true, result: json ? (json.result ?? json) : text.trim(), contentType };
+
+    } catch (e) {
+      if (signal?.aborted) return clientAborted();
+      const timedOut = e?.name === 'TimeoutError';
+      lastMsg = String(e?.message || e);
+      lastStatus = timedOut ? 504 : 502;
+      logAttempt(lastStatus, lastMsg);
+      await reportTokenResult(token, { ok: false, status: timedOut ? 504 : 599 });
+      continue;
+    } finally {
+      run.done();
+    }
+  }
+
+  return { ok: false, status: lastStatus, message: lastMsg || 'All tokens failed' };
+}
+
+module.exports = {
+  DRIVER_PATH,
+  HOSTS,
+  mapOpenAIService,
+  normalizeContent,
+  toolCallId,
+  normalizeToolCalls,
+  prepareMessages,
+  toAssistantMessage,
+  upstreamUsageOf,
+  setAnsweredModel,
+  sseHeaders,
+  startHeartbeat,
+  clientSignal,
+  upstreamTimeoutMs,
+  startAttempt,
+  fetchUpstream,
+  readJsonSafe,
+  readTextSafe,
+  readUpstreamEvents,
+  createStopMatcher,
+  samplingOptions,
+  resultEvents,
+  runChat,
+  runDriver,
+};
@@ -0,0 +1,174 @@
+// CommonJS response cache for repeatable chat and embeddings requests (opt-in)
+// Env: PUTER_CACHE (off | memory | file, default off), PUTER_CACHE_DIR, PUTER_CACHE_TTL_MS,
+//      PUTER_CACHE_MAX_ENTRIES, PUTER_CACHE_MAX_BYTES
+//
+// Keys are hashes of the normalized request, so property order in the body does not matter.
+// Clients skip the lookup with `Cache-Control: no-cache` (the fresh answer still replaces the
+// entry) and keep the request out of the cache entirely with `no-store`.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+// The disk backend trims itself at most this often; limits may overshoot in between.
+const PRUNE_INTERVAL_MS = 5 * 1000;
+
+function limitFrom(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// JSON with object keys sorted, so equal requests hash equally.
+function stableStringify(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
+
+function cacheKey(kind, request) {
+  return crypto.createHash('sha256').update(`${kind}\n${stableStringify(request)}`).digest('hex');
+}
+
+// --- memory --------------------------------------------------------------
+
+function createMemoryCache({ ttlMs, maxEntries, maxBytes }) {
+  const entries = new Map(); // key -> { value, bytes, expires }, oldest first
+  let bytes = 0;
+
+  const remove = (key) => {
+    const e = entries.get(key);
+    if (!e) return;
+    bytes -= e.bytes;
+    entries.delete(key);
+  };
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (e.expires <= Date.now()) { remove(key); return null; }
+      // Re-insert so eviction drops the least recently used entry first.
+      entries.delete(key);
+      entries.set(key, e);
+      return e.value;
+    },
+    async set(key, value) {
+      const size = Buffer.byteLength(JSON.stringify(value));
+      if (size > maxBytes) return;
+      remove(key);
+      entries.set(key, { value, bytes: size, expires: Date.now() + ttlMs });
+      bytes += size;
+      for (const k of entries.keys()) {
+        if (entries.size <= maxEntries && bytes <= maxBytes) break;
+        remove(k);
+      }
+    },
+  };
+}
+
+// --- file ----------------------------------------------------------------
+
+function createFileCache(dir, { ttlMs, maxEntries, maxBytes }) {
+  const fileOf = (key) => path.join(dir, `${key}.json`);
+  let lastPrune = 0;
+
+  // Drops expired files, then the oldest ones until the directory is within its limits.
+  async function prune() {
+    lastPrune = Date.now();
+    let names;
+    try { names = (await fs.readdir(dir)).filter(n => n.endsWith('.json')); } catch { return; }
+    const files = [];
+    for (const name of names) {
+      try {
+        const st = await fs.stat(path.join(dir, name));
+        files.push({ name, mtime: st.mtimeMs, size: st.size });
+      } catch {}
+    }
+    files.sort((a, b) => a.mtime - b.mtime);
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    let count = files.length;
+    for (const f of files) {
+      const expired = f.mtime + ttlMs <= lastPrune;
+      if (!expired && count <= maxEntries && total <= maxBytes) break;
+      await fs.unlink(path.join(dir, f.name)).catch(() => {});
+      total -= f.size;
+      count--;
+    }
+  }
+
+  return {
+    name: 'file',
+    async get(key) {
+      let entry;
+      try { entry = JSON.parse(await fs.readFile(fileOf(key), 'utf8')); } catch { return null; }
+      if (!entry || entry.expires <= Date.now()) {
+        await fs.unlink(fileOf(key)).catch(() => {});
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value) {
+      const data = JSON.stringify({ expires: Date.now() + ttlMs, value });
+      if (Buffer.byteLength(data) > maxBytes) return;
+      await fs.mkdir(dir, { recursive: true });
+      // Write-then-rename so a concurrent reader never sees half an entry.
+      const tmp = `${fileOf(key)}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, data);
+      await fs.rename(tmp, fileOf(key));
+      if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) await prune();
+    },
+  };
+}
+
+// --- selection -----------------------------------------------------------
+
+let cache = null;
+let cacheConfig = null;
+
+// The configured cache, or null while caching is off.
+function getCache() {
+  const kind = (process.env.PUTER_CACHE || 'off').toLowerCase();
+  if (kind !== 'memory' && kind !== 'file') return null;
+  const dir = process.env.PUTER_CACHE_DIR || path.join(os.tmpdir(), 'puter-cache');
+  const limits = {
+    ttlMs: limitFrom(process.env.PUTER_CACHE_TTL_MS, DEFAULT_TTL_MS),
+    maxEntries: limitFrom(process.env.PUTER_CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES),
+    maxBytes: limitFrom(process.env.PUTER_CACHE_MAX_BYTES, DEFAULT_MAX_BYTES),
+  };
+  const config = `${kind}|${dir}|${limits.ttlMs}|${limits.maxEntries}|${limits.maxBytes}`;
+  if (cache && cacheConfig === config) return cache;
+  cache = kind === 'file' ? createFileCache(dir, limits) : createMemoryCache(limits);
+  cacheConfig = config;
+  return cache;
+}
+
+// What the request allows: 'use' (read and write), 'refresh' (write only) or 'skip'.
+function cachePolicy(req) {
+  const cc = String(req.headers['cache-control'] || '').toLowerCase();
+  if (/\bno-store\b/.test(cc)) return 'skip';
+  if (/\bno-cache\b/.test(cc) || /\bno-cache\b/i.test(String(req.headers['pragma'] || ''))) return 'refresh';
+  return 'use';
+}
+
+// A cache failure must never fail the request; it only costs the saving.
+async function cacheGet(c, key) {
+  try { return await c.get(key); } catch (e) {
+    console.warn('Response cache read failed:', e?.message || e);
+    return null;
+  }
+}
+
+async function cacheSet(c, key, value) {
+  try { await c.set(key, value); } catch (e) {
+    console.warn('Response cache write failed:', e?.message || e);
+  }
+}
+
+module.exports = { getCache, cacheKey, cachePolicy, cacheGet, cacheSet, createMemoryCache, createFileCache };
@@ -0,0 +1,85 @@
+// CommonJS store for /v1/responses (previous_response_id chaining)
+// Env: PUTER_RESPONSES_STORE (memory | file), PUTER_RESPONSES_DIR, PUTER_RESPONSES_TTL_MS, PUTER_RESPONSES_MAX
+// Every response belongs to the client key that created it; other keys get a miss.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX = 1000;
+
+const memory = new Map(); // id -> { ts, owner, record }
+
+function ttlMs() {
+  return Math.max(1000, Number(process.env.PUTER_RESPONSES_TTL_MS || DEFAULT_TTL_MS));
+}
+
+function useFile() {
+  return (process.env.PUTER_RESPONSES_STORE || 'memory').toLowerCase() === 'file';
+}
+
+function dir() {
+  return process.env.PUTER_RESPONSES_DIR || path.join(os.tmpdir(), 'puter-responses');
+}
+
+function maxEntries() {
+  return Math.max(1, Number(process.env.PUTER_RESPONSES_MAX || DEFAULT_MAX));
+}
+
+function fileFor(id) {
+  // Ids are generated by us, but never trust them as path segments.
+  return path.join(dir(), String(id).replace(/[^a-zA-Z0-9_-]/g, '') + '.json');
+}
+
+// `owner` is the client key name (null without a key registry).
+async function get(id, { owner = null } = {}) {
+  if (!id) return null;
+  const now = Date.now();
+
+  let hit;
+  if (!useFile()) {
+    hit = memory.get(id);
+    if (!hit) return null;
+    if (now - hit.ts > ttlMs()) { memory.delete(id); return null; }
+  } else {
+    try { hit = JSON.parse(await fs.readFile(fileFor(id), 'utf8')); } catch { return null; }
+    if (now - hit.ts > ttlMs()) { await remove(id); return null; }
+  }
+  return (hit.owner ?? null) === owner ? hit.record : null;
+}
+
+// Drops the oldest files once the directory holds more than PUTER_RESPONSES_MAX responses.
+async function pruneFiles() {
+  const max = maxEntries();
+  const names = (await fs.readdir(dir())).filter(n => n.endsWith('.json'));
+  if (names.length <= max) return;
+  const files = [];
+  for (const name of names) {
+    try { files.push({ name, mtime: (await fs.stat(path.join(dir(), name))).mtimeMs }); } catch {}
+  }
+  files.sort((a, b) => a.mtime - b.mtime);
+  for (const f of files.slice(0, files.length - max)) await fs.unlink(path.join(dir(), f.name)).catch(() => {});
+}
+
+async function put(id, record, { owner = null } = {}) {
+  const entry = { ts: Date.now(), owner, record };
+
+  if (!useFile()) {
+    memory.set(id, entry);
+    // Map preserves insertion order, so the first keys are the oldest.
+    while (memory.size > maxEntries()) memory.delete(memory.keys().next().value);
+    return;
+  }
+
+  await fs.mkdir(dir(), { recursive: true });
+  await fs.writeFile(fileFor(id), JSON.stringify(entry));
+  await pruneFiles();
+}
+
+async function remove(id) {
+  if (!useFile()) return memory.delete(id);
+  try { await fs.unlink(fileFor(id)); return true; } catch { return false; }
+}
+
+module.exports = { get, put, remove };
@@ -0,0 +1,161 @@
+// CommonJS framing for upstream streaming bodies: SSE events, NDJSON lines or plain text
+//
+// Puter streams driver results as NDJSON (one JSON object per line), while some providers'
+// output and error paths come through as SSE. The format is taken from the content type when
+// it names one, otherwise from the first non-blank line of the body.
+// Frames are { sse, event, id, data } for SSE and NDJSON (`data` is the raw payload string)
+// and { text } for plain-text bodies. Interpreting payloads is left to the caller.
+
+// A single JSON value split over lines is waited for, but not forever.
+const MAX_PENDING_JSON = 1024 * 1024;
+
+function formatOf(contentType) {
+  const ct = String(contentType || '').toLowerCase();
+  if (ct.includes('text/event-stream')) return 'sse';
+  if (ct.includes('ndjson') || ct.includes('jsonl') || ct.includes('json-seq')) return 'ndjson';
+  return null;
+}
+
+function sniffFormat(line) {
+  const s = line.trimStart();
+  if (s.startsWith('{') || s.startsWith('[') || s.startsWith('"')) return 'ndjson';
+  if (s.startsWith(':') || /^(data|event|id|retry)(:|$)/.test(s)) return 'sse';
+  return 'text';
+}
+
+function parses(s) {
+  try { JSON.parse(s); return true; } catch { return false; }
+}
+
+// Server-sent events, per the WHATWG parsing rules: `:` lines are comments, `data:` lines
+// accumulate (joined with \n) until a blank line dispatches the event.
+function createSseFramer() {
+  let event = null;
+  let id = null;
+  let data = [];
+
+  function dispatch() {
+    const frames = [];
+    if (data.length) {
+      const joined = data.join('\n');
+      // Some servers put one JSON payload per `data:` line with no blank line in between.
+      // Spec-wise that is one event, but its lines only make sense on their own.
+      if (data.length > 1 && !parses(joined) && data.every(parses)) {
+        for (const d of data) frames.push({ sse: true, event, id, data: d });
+      } else {
+        frames.push({ sse: true, event, id, data: joined });
+      }
+    } else if (event === 'error') {
+      frames.push({ sse: true, event, id, data: '' });
+    }
+    event = null;
+    data = [];
+    return frames;
+  }
+
+  return {
+    line(line) {
+      if (!line) return dispatch();
+      if (line.startsWith(':')) return [];
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+      if (field === 'data') data.push(value);
+      else if (field === 'event') event = value || null;
+      else if (field === 'id' && !value.includes('\0')) id = value;
+      return [];
+    },
+    end() { return dispatch(); },
+  };
+}
+
+// One JSON value per line; a value that spans lines (pretty-printed JSON) is collected until
+// it parses. A line that parses on its own after a broken one starts over, so one bad line
+// does not swallow the rest of the stream.
+function createNdjsonFramer() {
+  let pending = '';
+
+  return {
+    line(line) {
+      if (!line.trim()) return [];
+      if (!pending) {
+        if (parses(line)) return [{ sse: false, event: null, id: null, data: line }];
+        pending = line;
+        return [];
+      }
+      const joined = pending + '\n' + line;
+      if (parses(joined)) {
+        pending = '';
+        return [{ sse: false, event: null, id: null, data: joined }];
+      }
+      if (parses(line)) {
+        const broken = pending;
+        pending = '';
+        return [{ sse: false, event: null, id: null, data: broken }, { sse: false, event: null, id: null, data: line }];
+      }
+      if (joined.length > MAX_PENDING_JSON) {
+        pending = '';
+        return [{ sse: false, event: null, id: null, data: joined }];
+      }
+      pending = joined;
+      return [];
+    },
+    end() {
+      const rest = pending;
+      pending = '';
+      return rest ? [{ sse: false, event: null, id: null, data: rest }] : [];
+    },
+  };
+}
+
+// Reads `reader` (a WHATWG stream reader) to the end and yields frames. Read errors propagate.
+async function* readFrames(reader, { contentType } = {}) {
+  const decoder = new TextDecoder();
+  let format = formatOf(contentType);
+  let framer = null;
+  let buf = '';
+
+  const ensureFramer = (firstLine) => {
+    if (!format) format = sniffFormat(firstLine);
+    if (!framer && format !== 'text') framer = format === 'sse' ? createSseFramer() : createNdjsonFramer();
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+
+    if (!format) {
+      const first = buf.split('\n').find(l => l.trim());
+      // Wait for a complete first line unless the body is clearly not line-based.
+      if (first === undefined || (!buf.includes('\n') && buf.length < 2048)) continue;
+      ensureFramer(first);
+    }
+    if (format === 'text') {
+      if (buf) yield { text: buf };
+      buf = '';
+      continue;
+    }
+    ensureFramer('');
+
+    let idx;
+    while ((idx = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, idx).replace(/\r$/, '');
+      buf = buf.slice(idx + 1);
+      yield* framer.line(line);
+    }
+  }
+
+  buf += decoder.decode();
+  if (!format && buf.trim()) ensureFramer(buf);
+  if (format === 'text') {
+    if (buf) yield { text: buf };
+    return;
+  }
+  if (!framer) return;
+  if (buf) yield* framer.line(buf.replace(/\r$/, ''));
+  yield* framer.end();
+}
+
+module.exports = { readFrames };
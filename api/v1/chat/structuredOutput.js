@@ -0,0 +1,219 @@
+// CommonJS structured outputs: response_format json_object / json_schema
+// Env: PUTER_JSON_RETRIES (extra attempts after invalid output, default 2),
+//      PUTER_JSON_NATIVE_SERVICES (comma-separated Puter services that take response_format as-is)
+//
+// Services that understand response_format get it forwarded; everyone else gets the schema as
+// a system instruction. Either way the answer is checked here before it reaches the client:
+// json_object must be a JSON object, strict json_schema must validate against the schema.
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_NATIVE_SERVICES = 'openai-completion,openai,openrouter,mistral,xai';
+const NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function maxRetries() {
+  const n = Number(process.env.PUTER_JSON_RETRIES ?? DEFAULT_RETRIES);
+  return Number.isInteger(n) && n >= 0 ? Math.min(n, 10) : DEFAULT_RETRIES;
+}
+
+function nativeServices() {
+  return (process.env.PUTER_JSON_NATIVE_SERVICES ?? DEFAULT_NATIVE_SERVICES)
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// Validates the request's response_format. Returns { format } (null for plain text) or { error }.
+// format: { type: 'json_object' } | { type: 'json_schema', name, schema, strict, raw }
+function parseResponseFormat(rf) {
+  if (rf == null) return { format: null };
+  if (typeof rf !== 'object' || Array.isArray(rf)) return { error: 'response_format must be an object' };
+  if (rf.type === 'text') return { format: null };
+  if (rf.type === 'json_object') return { format: { type: 'json_object', raw: rf } };
+  if (rf.type !== 'json_schema') return { error: "response_format.type must be one of 'text', 'json_object', 'json_schema'" };
+
+  const js = rf.json_schema;
+  if (!js || typeof js !== 'object') return { error: 'response_format.json_schema is required when type is json_schema' };
+  if (typeof js.name !== 'string' || !NAME_RE.test(js.name)) {
+    return { error: 'response_format.json_schema.name must be 1-64 letters, digits, underscores or dashes' };
+  }
+  const schema = js.schema ?? {};
+  if (typeof schema !== 'object' || Array.isArray(schema)) return { error: 'response_format.json_schema.schema must be an object' };
+  return { format: { type: 'json_schema', name: js.name, description: js.description, schema, strict: js.strict === true, raw: rf } };
+}
+
+function instructionFor(format) {
+  if (format.type === 'json_object') {
+    return 'Respond with a single valid JSON object and nothing else: no prose, no Markdown code fences.';
+  }
+  return [
+    `Respond with a single JSON value that conforms to the JSON Schema "${format.name}" below, and nothing else:`,
+    'no prose, no Markdown code fences.',
+    format.description ? `Schema purpose: ${format.description}` : null,
+    JSON.stringify(format.schema),
+  ].filter(Boolean).join('\n');
+}
+
+// Driver args + messages for one attempt on `service`: response_format is forwarded where the
+// service takes it, otherwise it is replaced by a system instruction after any leading system messages.
+function applyResponseFormat(service, messages, args) {
+  const format = args.response_format;
+  if (!format) return { messages, args };
+  const rest = { ...args };
+  delete rest.response_format;
+  if (nativeServices().includes(String(service).toLowerCase())) return { messages, args: { ...rest, response_format: format.raw } };
+
+  const at = messages.findIndex(m => m.role !== 'system');
+  const instruction = { role: 'system', content: instructionFor(format) };
+  const out = at === -1 ? [...messages, instruction] : [...messages.slice(0, at), instruction, ...messages.slice(at)];
+  return { messages: out, args: rest };
+}
+
+// --- JSON Schema subset ----------------------------------------------------
+// Covers what OpenAI's structured outputs accept: types, properties / required /
+// additionalProperties, items, enum / const, anyOf / oneOf / allOf, local $ref, and the
+// string, number and array bounds. Unknown keywords (format, descriptions) are ignored.
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function typeMatches(v, type) {
+  const t = typeOf(v);
+  return t === type || (type === 'number' && t === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+  let node = root;
+  for (const part of ref.slice(1).split('/').filter(Boolean)) {
+    node = node?.[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  return node && typeof node === 'object' ? node : null;
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Returns the first violation as a readable string, or null when `value` conforms.
+function validate(value, schema, root = schema, at = '$', depth = 0) {
+  if (schema === true || schema == null) return null;
+  if (schema === false) return `${at} is not allowed`;
+  if (depth > 64) return `${at}: schema nesting too deep`;
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) return `${at}: cannot resolve $ref ${schema.$ref}`;
+    return validate(value, target, root, at, depth + 1);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(value, t))) return `${at} must be ${types.join(' or ')}, got ${typeOf(value)}`;
+  }
+  if (schema.enum && !schema.enum.some(e => equal(e, value))) return `${at} must be one of ${JSON.stringify(schema.enum)}`;
+  if ('const' in schema && !equal(schema.const, value)) return `${at} must be ${JSON.stringify(schema.const)}`;
+
+  if (schema.allOf) {
+    for (const s of schema.allOf) {
+      const err = validate(value, s, root, at, depth + 1);
+      if (err) return err;
+    }
+  }
+  if (schema.anyOf) {
+    const errors = schema.anyOf.map(s => validate(value, s, root, at, depth + 1));
+    if (errors.every(Boolean)) return errors[0];
+  }
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(s => !validate(value, s, root, at, depth + 1)).length;
+    if (passing !== 1) return `${at} must match exactly one schema in oneOf (matched ${passing})`;
+  }
+
+  if (typeof value === 'string') {
+    const len = [...value].length;
+    if (schema.minLength != null && len < schema.minLength) return `${at} must be at least ${schema.minLength} characters`;
+    if (schema.maxLength != null && len > schema.maxLength) return `${at} must be at most ${schema.maxLength} characters`;
+    if (schema.pattern) {
+      let re = null;
+      try { re = new RegExp(schema.pattern, 'u'); } catch {}
+      if (re && !re.test(value)) return `${at} must match pattern ${schema.pattern}`;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) return `${at} must be >= ${schema.minimum}`;
+    if (schema.maximum != null && value > schema.maximum) return `${at} must be <= ${schema.maximum}`;
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) return `${at} must be > ${schema.exclusiveMinimum}`;
+    if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) return `${at} must be < ${schema.exclusiveMaximum}`;
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      return `${at} must be a multiple of ${schema.multipleOf}`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) return `${at} must have at least ${schema.minItems} items`;
+    if (schema.maxItems != null && value.length > schema.maxItems) return `${at} must have at most ${schema.maxItems} items`;
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) return `${at} items must be unique`;
+    const tuple = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    for (let i = 0; i < value.length; i++) {
+      const itemSchema = i < tuple.length ? tuple[i] : schema.items;
+      if (itemSchema === undefined) continue;
+      const err = validate(value[i], itemSchema, root, `${at}[${i}]`, depth + 1);
+      if (err) return err;
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) return `${at}.${key} is required`;
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (key in props) {
+        const err = validate(v, props[key], root, `${at}.${key}`, depth + 1);
+        if (err) return err;
+      } else if (schema.additionalProperties === false) {
+        return `${at}.${key} is not an allowed property`;
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        const err = validate(v, schema.additionalProperties, root, `${at}.${key}`, depth + 1);
+        if (err) return err;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Models like to wrap JSON in a Markdown fence even when told not to.
+function stripFences(text) {
+  const m = /^\s*```[a-zA-Z]*\s*\n([\s\S]*?)\n?```\s*$/.exec(text);
+  return (m ? m[1] : text).trim();
+}
+
+// Checks one answer. Returns { ok: true, text } with the JSON as the model wrote it (fences
+// removed), or { ok: false, error, parsed } — `parsed` tells a schema mismatch from broken JSON.
+function checkOutput(content, format) {
+  const text = stripFences(typeof content === 'string' ? content : '');
+  if (!text) return { ok: false, error: 'the reply was empty', parsed: false };
+  let value;
+  try { value = JSON.parse(text); } catch (e) { return { ok: false, error: `the reply is not valid JSON (${e.message})`, parsed: false }; }
+
+  if (format.type === 'json_object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { ok: false, error: 'the reply must be a JSON object', parsed: false };
+    return { ok: true, text };
+  }
+  const err = validate(value, format.schema);
+  return err ? { ok: false, error: `the reply does not match the schema: ${err}`, parsed: true, text } : { ok: true, text };
+}
+
+// Follow-up turn asking the model to fix its previous answer.
+function retryMessages(messages, content, error) {
+  return [
+    ...messages,
+    { role: 'assistant', content: typeof content === 'string' ? content : '' },
+    { role: 'user', content: `That reply cannot be used: ${error}. Reply again with only the corrected JSON.` },
+  ];
+}
+
+module.exports = { maxRetries, parseResponseFormat, applyResponseFormat, checkOutput, retryMessages };
@@ -1,8 +1,16 @@
 // CommonJS token pool
-// Env: PUTER_TOKENS, PUTER_TOKEN, PUTER_TOKEN_COOLDOWN_MS
+// Env: PUTER_TOKENS, PUTER_TOKEN, PUTER_TOKEN_COOLDOWN_MS, PUTER_TOKEN_STRATEGY (round-robin | balance)
+// Cooldowns and the round-robin position live in a pluggable backend (see ./poolState),
+// so every instance of the proxy shares them. getToken / report are async for that reason.
+
+const crypto = require('crypto');
+const { withFallback } = require('./poolState');
+const balance = require('./balance');
 
 const DEFAULT_COOLDOWN_MS = 15 * 60 * 1000;
-const state = { tokens: [], rrIndex: 0 };
+const state = { tokens: [] };
+
+const withBackend = withFallback('Token pool');
 
 function parseTokens() {
   const raw = process.env.PUTER_TOKENS || process.env.PUTER_TOKEN || '';
@@ -15,13 +23,27 @@ function parseTokens() {
   return uniq;
 }
 
+function tokenId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
 function init() {
   const toks = parseTokens();
   if (!toks.length) return;
   const existing = state.tokens.map(x => x.token);
   if (existing.length === toks.length && existing.every((t, i) => t === toks[i])) return;
-  state.tokens = toks.map(t => ({ token: t, disabledUntil: 0, failCount: 0 }));
-  state.rrIndex = 0;
+  state.tokens = toks.map(t => ({ token: t, id: tokenId(t), disabledUntil: 0, failCount: 0 }));
+}
+
+
+// Pulls the shared view of every token's cooldown into the local entries.
+async function refresh() {
+  const stored = await withBackend(b => b.load(state.tokens.map(e => e.id)));
+  for (const e of state.tokens) {
+    const s = stored[e.id];
+    e.disabledUntil = s ? Number(s.disabledUntil) || 0 : 0;
+    e.failCount = s ? Number(s.failCount) || 0 : 0;
+  }
 }
 
 function hasAnyToken() {
@@ -29,46 +51,103 @@ function hasAnyToken() {
   return state.tokens.length > 0;
 }
 
-function getToken() {
+function strategy() {
+  return (process.env.PUTER_TOKEN_STRATEGY || 'round-robin').toLowerCase();
+}
+
+async function saveEntry(entry) {
+  await withBackend(b => b.save(entry.id, { disabledUntil: entry.disabledUntil, failCount: entry.failCount }));
+}
+
+// Balance strategy: drop tokens whose allowance is spent (parked until the month rolls over,
+// shared through the state backend) and weight the rest by remaining balance.
+async function pickByBalance(available) {
+  await balance.refreshBalances(state.tokens.map(e => e.token));
+  const usable = [];
+  for (const entry of available) {
+    if (balance.isExhausted(entry.token)) {
+      entry.disabledUntil = balance.nextMonthStart();
+      await saveEntry(entry);
+    } else {
+      usable.push(entry.token);
+    }
+  }
+  return balance.pickWeighted(usable);
+}
+
+async function getToken() {
   init();
   if (!state.tokens.length) return null;
+  await refresh();
   const now = Date.now();
-  for (let i = 0; i < state.tokens.length; i++) {
-    const idx = (state.rrIndex + i) % state.tokens.length;
-    const entry = state.tokens[idx];
-    if (!entry.disabledUntil || entry.disabledUntil <= now) {
-      state.rrIndex = (idx + 1) % state.tokens.length;
-      return entry.token;
+
+  if (strategy() === 'balance') {
+    const picked = await pickByBalance(state.tokens.filter(e => !e.disabledUntil || e.disabledUntil <= now));
+    if (picked) return picked;
+  } else {
+    const start = await withBackend(b => b.nextIndex());
+    for (let i = 0; i < state.tokens.length; i++) {
+      const entry = state.tokens[(start + i) % state.tokens.length];
+      if (!entry.disabledUntil || entry.disabledUntil <= now) return entry.token;
     }
   }
+
   let best = state.tokens[0];
   for (const e of state.tokens) if (e.disabledUntil < best.disabledUntil) best = e;
   return best.token;
 }
 
-function report(token, { ok, status }) {
+async function report(token, { ok, status }) {
   init();
   const entry = state.tokens.find(e => e.token === token);
   if (!entry) return;
   const now = Date.now();
   const cooldownBase = Number(process.env.PUTER_TOKEN_COOLDOWN_MS || DEFAULT_COOLDOWN_MS);
 
+  const stored = (await withBackend(b => b.load([entry.id])))[entry.id];
+  entry.failCount = stored ? Number(stored.failCount) || 0 : entry.failCount;
+
   if (ok) {
     entry.disabledUntil = 0;
     entry.failCount = 0;
-    return;
-  }
-  entry.failCount = (entry.failCount || 0) + 1;
-  if (status === 401 || status === 403) {
-    entry.disabledUntil = now + Math.max(cooldownBase, 60 * 60 * 1000);
-    return;
-  }
-  if (status === 429 || status >= 500) {
-    const backoff = Math.min(5 * 60 * 1000, cooldownBase * Math.min(8, entry.failCount));
-    entry.disabledUntil = now + backoff;
-    return;
+  } else {
+    entry.failCount = (entry.failCount || 0) + 1;
+    if (status === 401 || status === 403) {
+      entry.disabledUntil = now + Math.max(cooldownBase, 60 * 60 * 1000);
+    } else if (status === 429 || status >= 500) {
+      const backoff = Math.min(5 * 60 * 1000, cooldownBase * Math.min(8, entry.failCount));
+      entry.disabledUntil = now + backoff;
+    } else {
+      entry.disabledUntil = now + cooldownBase;
+    }
   }
-  entry.disabledUntil = now + cooldownBase;
+
+  // Skip the write when a healthy token stays healthy; that is the hot path.
+  if (ok && !stored) return;
+  await saveEntry(entry);
+}
+
+// A usable token for side calls (health probes) that leaves the round-robin position and
+// the balance weighting alone: the first token out of cooldown, else the one leaving it soonest.
+async function peekToken() {
+  init();
+  if (!state.tokens.length) return null;
+  await refresh();
+  const now = Date.now();
+  const ready = state.tokens.find(e => !e.disabledUntil || e.disabledUntil <= now);
+  if (ready) return ready.token;
+  let best = state.tokens[0];
+  for (const e of state.tokens) if (e.disabledUntil < best.disabledUntil) best = e;
+  return best.token;
+}
+
+// Every configured token's shared cooldown state, keyed by its hashed id (never the raw token).
+async function tokenStates() {
+  init();
+  if (!state.tokens.length) return [];
+  await refresh();
+  const now = Date.now();
+  return state.tokens.map(e => ({ id: e.id, failCount: e.failCount, cooldownMs: Math.max(0, e.disabledUntil - now) }));
 }
 
-module.exports = { hasAnyToken, getToken, reportTokenResult: report };
+module.exports = { hasAnyToken, getToken, peekToken, reportTokenResult: report, tokenStates };
@@ -0,0 +1,167 @@
+// CommonJS token counting helpers
+// Used when Puter does not report usage: counts are local estimates per model family
+// and are flagged with `estimated: true` in the returned usage object.
+
+// Average characters per word-piece for each family's BPE vocabulary.
+const FAMILIES = {
+  gpt: { charsPerToken: 4.2, digitsPerToken: 3, perMessage: 3, priming: 3 },
+  claude: { charsPerToken: 3.8, digitsPerToken: 3, perMessage: 4, priming: 3 },
+  gemini: { charsPerToken: 4.4, digitsPerToken: 1, perMessage: 4, priming: 2 },
+  mistral: { charsPerToken: 3.6, digitsPerToken: 1, perMessage: 4, priming: 1 },
+};
+
+// Roughly the cl100k pre-tokenizer split: contractions, words, digit runs, punctuation, whitespace.
+const PIECE_RE = /'(?:s|t|re|ve|m|ll|d)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}+|[^\s\p{L}\p{N}]+|\s+/gu;
+const WIDE_RE = /[぀-ヿ㐀-䶿一-鿿가-힯]/u;
+
+function familyFromModel(modelId = '') {
+  const m = String(modelId || '').toLowerCase();
+  if (m.includes('claude') || m.startsWith('anthropic/')) return 'claude';
+  if (m.includes('gemini') || m.includes('gemma') || m.startsWith('google/')) return 'gemini';
+  if (m.includes('mistral') || m.includes('mixtral') || m.includes('codestral') || m.includes('pixtral')) return 'mistral';
+  return 'gpt';
+}
+
+function countTextTokens(text, modelId) {
+  if (text == null || text === '') return 0;
+  const fam = FAMILIES[familyFromModel(modelId)];
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  let count = 0;
+  for (const [piece] of str.matchAll(PIECE_RE)) {
+    if (/^\s+$/.test(piece)) { count += 1; continue; }
+    if (/^\p{N}+$/u.test(piece)) { count += Math.ceil(piece.length / fam.digitsPerToken); continue; }
+    if (WIDE_RE.test(piece)) { count += [...piece].length; continue; }
+    if (/^[^\p{L}\p{N}]+$/u.test(piece)) { count += Math.ceil(piece.length / 2); continue; }
+    count += Math.max(1, Math.round(piece.length / fam.charsPerToken));
+  }
+  return count;
+}
+
+function contentText(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(p => {
+      if (!p) return '';
+      if (typeof p === 'string') return p;
+      if (p.type === 'text' || p.type === 'input_text' || p.type === 'output_text') return p.text || '';
+      if (p.type === 'image_url' || p.type === 'image' || p.type === 'input_image') return '';
+      return p.text || p.content || JSON.stringify(p);
+    }).join('');
+  }
+  return JSON.stringify(content);
+}
+
+// Images are billed separately by providers; count a flat per-image cost so estimates stay in range.
+function imageTokens(content) {
+  if (!Array.isArray(content)) return 0;
+  return content.filter(p => p && ['image_url', 'image', 'input_image'].includes(p.type)).length * 765;
+}
+
+function countToolCallTokens(toolCalls, modelId) {
+  if (!Array.isArray(toolCalls)) return 0;
+  let n = 0;
+  for (const tc of toolCalls) {
+    const fn = tc?.function || tc || {};
+    n += 3 + countTextTokens(fn.name || '', modelId) + countTextTokens(fn.arguments ?? fn.input ?? '', modelId);
+  }
+  return n;
+}
+
+function countMessagesTokens(messages, modelId, tools) {
+  const fam = FAMILIES[familyFromModel(modelId)];
+  let n = fam.priming;
+  for (const m of messages || []) {
+    if (!m) continue;
+    n += fam.perMessage;
+    n += countTextTokens(m.role || '', modelId);
+    n += countTextTokens(contentText(m.content), modelId);
+    n += imageTokens(m.content);
+    if (m.name) n += 1 + countTextTokens(m.name, modelId);
+    if (m.tool_calls) n += countToolCallTokens(m.tool_calls, modelId);
+  }
+  if (Array.isArray(tools) && tools.length) n += 10 + countTextTokens(JSON.stringify(tools), modelId);
+  return n;
+}
+
+function countCompletionTokens(message, modelId) {
+  if (!message) return 0;
+  return countTextTokens(contentText(message.content), modelId) + countToolCallTokens(message.tool_calls, modelId);
+}
+
+// Maps the usage shapes Puter relays (OpenAI, Anthropic, Gemini, Puter cost lines) onto OpenAI fields.
+function normalizeUsage(u) {
+  if (!u || typeof u !== 'object') return null;
+
+  if (Array.isArray(u)) {
+    let prompt = 0;
+    let completion = 0;
+    let found = false;
+    for (const line of u) {
+      const type = String(line?.type || '').toLowerCase();
+      const amount = Number(line?.amount ?? line?.tokens);
+      if (!Number.isFinite(amount)) continue;
+      if (type.includes('prompt') || type.includes('input')) { prompt += amount; found = true; }
+      else if (type.includes('completion') || type.includes('output')) { completion += amount; found = true; }
+    }
+    return found ? { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion } : null;
+  }
+
+  const prompt = u.prompt_tokens ?? u.input_tokens ?? u.promptTokenCount;
+  const completion = u.completion_tokens ?? u.output_tokens ?? u.candidatesTokenCount;
+  if (typeof prompt !== 'number' && typeof completion !== 'number') return null;
+
+  const out = {
+    prompt_tokens: Number(prompt) || 0,
+    completion_tokens: Number(completion) || 0,
+  };
+  out.prompt_tokens += Number(u.cache_read_input_tokens || 0) + Number(u.cache_creation_input_tokens || 0);
+  out.total_tokens = typeof u.total_tokens === 'number' ? u.total_tokens : out.prompt_tokens + out.completion_tokens;
+  return out;
+}
+
+function chatUsage({ upstream, model, messages, tools, message }) {
+  const real = normalizeUsage(upstream);
+  if (real && real.total_tokens > 0) return real;
+
+  const prompt_tokens = countMessagesTokens(messages, model, tools);
+  const completion_tokens = countCompletionTokens(message, model);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens, estimated: true };
+}
+
+// Adds up per-choice usage for n > 1: the prompt is counted once (entries with countPrompt),
+// completions for every choice.
+function sumUsage(list) {
+  const out = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let estimated = false;
+  for (const { usage, countPrompt } of list) {
+    if (countPrompt) out.prompt_tokens += usage.prompt_tokens;
+    out.completion_tokens += usage.completion_tokens;
+    estimated = estimated || !!usage.estimated;
+  }
+  out.total_tokens = out.prompt_tokens + out.completion_tokens;
+  if (estimated) out.estimated = true;
+  return out;
+}
+
+function embeddingsUsage({ upstream, model, input }) {
+  const real = normalizeUsage(upstream);
+  if (real && real.prompt_tokens > 0) return { prompt_tokens: real.prompt_tokens, total_tokens: real.prompt_tokens };
+
+  // Token-array inputs are already tokens; count them exactly.
+  const isTokens = (x) => Array.isArray(x) && x.every(Number.isInteger);
+  const list = Array.isArray(input) && !isTokens(input) ? input : [input];
+  const prompt_tokens = list.reduce((acc, s) => acc + (isTokens(s) ? s.length : countTextTokens(s, model)), 0);
+  return { prompt_tokens, total_tokens: prompt_tokens, estimated: true };
+}
+
+module.exports = {
+  familyFromModel,
+  countTextTokens,
+  countMessagesTokens,
+  countCompletionTokens,
+  normalizeUsage,
+  chatUsage,
+  sumUsage,
+  embeddingsUsage,
+};
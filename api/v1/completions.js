@@ -0,0 +1,202 @@
+// Legacy Text Completions (POST /v1/completions)
+// Wraps each prompt into a chat message for the Puter driver and answers with
+// `text_completion` objects. suffix / echo / stop / n are emulated proxy-side.
+
+const { hasAnyToken } = require('./chat/tokenPool');
+const { authorize, authError } = require('./chat/clientKeys');
+const { chatUsage, sumUsage } = require('./chat/tokenizer');
+const { startAudit } = require('./chat/auditLog');
+const {
+  toAssistantMessage,
+  upstreamUsageOf,
+  setAnsweredModel,
+  sseHeaders,
+  startHeartbeat,
+  clientSignal,
+  createStopMatcher,
+  samplingOptions,
+  runChat,
+} = require('./chat/puterChat');
+
+// Same cap on choices per request as /v1/chat/completions.
+const MAX_CHOICES = 16;
+
+const SYSTEM_PROMPT = 'You are a raw text completion engine. Continue the user\'s text exactly where it stops. '
+  + 'Output only the continuation, with no preamble, quotes or commentary.';
+
+function badRequest(res, message) {
+  return res.status(400).json({ error: { message, type: 'invalid_request_error' } });
+}
+
+function normalizePrompts(prompt) {
+  if (prompt == null) return [''];
+  if (typeof prompt === 'string') return [prompt];
+  if (Array.isArray(prompt) && prompt.every(p => typeof p === 'string')) return prompt.length ? prompt : [''];
+  return null;
+}
+
+function promptMessages(prompt, suffix) {
+  let content = prompt;
+  if (typeof suffix === 'string' && suffix) {
+    content += `\n\n[The continuation must lead naturally into the following text, which comes right after it. Do not repeat it.]\n${suffix}`;
+  }
+  return [{ role: 'system', content: SYSTEM_PROMPT }, { role: 'user', content }];
+}
+
+function finishReasonFor(finish_reason, stopped) {
+  if (stopped) return 'stop';
+  return finish_reason === 'length' ? 'length' : 'stop';
+}
+
+async function streamAsTextCompletion({ jobs, outcomes, res, selectedModel, echo, stop, includeUsage }) {
+  sseHeaders(res);
+  const id = 'cmpl-' + Date.now();
+  const created = Math.floor(Date.now() / 1000);
+  const writeChunk = (choice, extra = {}) => res.write(`data: ${JSON.stringify({
+    id, object: 'text_completion', created, model: selectedModel, choices: choice ? [choice] : [], ...extra,
+  })}\n\n`);
+
+  const hb = startHeartbeat(() => res.write(': keep-alive\n\n'));
+
+  let failure = null;
+  try {
+    // Concurrent choices are interleaved chunk by chunk, each tagged with its own index.
+    const usages = await Promise.all(jobs.map(async (job, i) => {
+      if (echo) writeChunk({ text: job.prompt, index: job.index, logprobs: null, finish_reason: null });
+
+      const matcher = createStopMatcher(stop);
+      let text = '';
+      let upstreamUsage = null;
+      let upstreamFinish = null;
+      let failed = false;
+      for await (const ev of outcomes[i].events) {
+        if (ev.type === 'error') { failure = failure || ev.message; failed = true; break; }
+        if (ev.type === 'usage') { upstreamUsage = ev.usage; continue; }
+        if (ev.type === 'finish') { upstreamFinish = ev.reason; continue; }
+        if (ev.type !== 'text') continue;
+        const out = matcher.push(ev.text);
+        if (out) {
+          text += out;
+          writeChunk({ text: out, index: job.index, logprobs: null, finish_reason: null });
+        }
+        if (matcher.stopped) break;
+      }
+      const tail = failed ? '' : matcher.flush();
+      if (tail) {
+        text += tail;
+        writeChunk({ text: tail, index: job.index, logprobs: null, finish_reason: null });
+      }
+      if (!failed) writeChunk({ text: '', index: job.index, logprobs: null, finish_reason: finishReasonFor(upstreamFinish, matcher.stopped) });
+
+      const usage = chatUsage({ upstream: upstreamUsage, model: selectedModel, messages: job.messages, message: { content: text } });
+      return { usage, countPrompt: job.first };
+    }));
+
+    const usage = sumUsage(usages);
+    if (failure) {
+      // Text already went out, so the failure is reported in-band as an error chunk.
+      res.write(`data: ${JSON.stringify({ error: { message: failure, type: 'upstream_error' } })}\n\n`);
+      res.end();
+      return usage;
+    }
+    if (includeUsage) writeChunk(null, { usage });
+    res.write('data: [DONE]\n\n');
+    res.end();
+    return usage;
+  } finally {
+    clearInterval(hb);
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const body = req.body || {};
+  const selectedModel = body.model || 'gpt-5-nano';
+
+  const auth = await authorize(req, res, { model: selectedModel });
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
+
+  if (!hasAnyToken()) {
+    return res.status(500).json({ error: 'Server misconfiguration: Missing PUTER_TOKEN(S)' });
+  }
+
+  const prompts = normalizePrompts(body.prompt);
+  if (!prompts) return badRequest(res, 'prompt must be a string or an array of strings (token arrays are not supported)');
+
+  const n = body.n == null ? 1 : body.n;
+  if (!Number.isInteger(n) || n < 1 || n > MAX_CHOICES) return badRequest(res, `n must be an integer between 1 and ${MAX_CHOICES}`);
+  // Every (prompt, n) pair is its own upstream call, so the choice cap applies to the product.
+  if (prompts.length * n > MAX_CHOICES) {
+    return badRequest(res, `prompt count × n must be at most ${MAX_CHOICES} (got ${prompts.length} × ${n})`);
+  }
+  const sampling = samplingOptions(body);
+  if (sampling.error) return badRequest(res, sampling.error);
+
+  const stream = body.stream === true;
+  const echo = body.echo === true;
+  const stop = body.stop;
+
+  // One upstream call per (prompt, n) pair; choice indexes follow OpenAI's prompt-major order.
+  const jobs = [];
+  prompts.forEach((prompt, p) => {
+    for (let k = 0; k < n; k++) {
+      jobs.push({ index: p * n + k, prompt, first: k === 0, messages: promptMessages(prompt, body.suffix) });
+    }
+  });
+
+  const { options } = sampling;
+  const allowModel = auth.client.allowsModel;
+  const signal = clientSignal(req, res);
+  const outcomes = await Promise.all(jobs.map(job => runChat({ model: selectedModel, messages: job.messages, stream, options, allowModel, signal, audit })));
+
+  const failed = outcomes.find(o => !o.ok);
+  if (failed) {
+    for (const o of outcomes) if (o.events) o.events.return().catch(() => {});
+    if (failed.aborted) return res.end();
+    return res.status(failed.status).json({ error: { message: failed.message, type: failed.type || 'upstream_error' } });
+  }
+
+  // Choices may come from different models after a fallback; report the first one's.
+  const answeredModel = outcomes[0].model || selectedModel;
+  setAnsweredModel(res, answeredModel);
+
+  if (stream) {
+    const usage = await streamAsTextCompletion({
+      jobs, outcomes, res, selectedModel: answeredModel, echo, stop,
+      includeUsage: body.stream_options?.include_usage === true,
+    });
+    return await auth.client.recordUsage(usage);
+  }
+
+  const usages = [];
+  const choices = jobs.map((job, i) => {
+    const { message, finish_reason } = toAssistantMessage(outcomes[i].result);
+    const matcher = createStopMatcher(stop);
+    const text = matcher.push(message.content || '') + matcher.flush();
+    usages.push({
+      usage: chatUsage({ upstream: upstreamUsageOf(outcomes[i].result), model: outcomes[i].model || selectedModel, messages: job.messages, message: { content: text } }),
+      countPrompt: job.first,
+    });
+    return {
+      text: (echo ? job.prompt : '') + text,
+      index: job.index,
+      logprobs: null,
+      finish_reason: finishReasonFor(finish_reason, matcher.stopped),
+    };
+  });
+
+  const usage = sumUsage(usages);
+  await auth.client.recordUsage(usage);
+  return res.status(200).json({
+    id: 'cmpl-' + Date.now(),
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model: answeredModel,
+    choices,
+    usage,
+  });
+};
@@ -5,32 +5,69 @@
 // - PUTER_EMBEDDINGS_SERVICE: override service name (default: "openai")
 // - PUTER_EMBEDDINGS_INTERFACE: override interface name (default: "puter-embeddings")
 // - PUTER_EMBEDDINGS_METHOD: override method name (default: "embed")
+// - PUTER_UPSTREAM_TIMEOUT_MS: per-attempt upstream timeout (default: 50000)
+// - PUTER_CACHE and friends: per-input response cache (see chat/responseCache.js)
+// - PUTER_EMBEDDINGS_BATCH_SIZE: max inputs per driver call (default: 64)
+// - PUTER_EMBEDDINGS_BATCH_TOKENS: max estimated tokens per driver call (default: 100000)
+// - PUTER_EMBEDDINGS_CONCURRENCY: driver calls in flight per request (default: 4)
+// - PUTER_AUDIT_LOG and friends: request audit log (see chat/auditLog.js)
 //
 // Notes:
 // - Retries next token on: 401/403/429/5xx and on driver "No implementation available" errors
 // - Normalizes multiple upstream response shapes into OpenAI Embeddings format
+// - Large inputs are split into batches, run concurrently (each batch picks its own token)
+//   and reassembled in input order
+// - `dimensions` and `encoding_format: "base64"` are applied here, on the full vectors
 
 const { hasAnyToken, getToken, reportTokenResult } = require('./chat/tokenPool');
+const { authorize, authError } = require('./chat/clientKeys');
+const { embeddingsUsage } = require('./chat/tokenizer');
+const { clientSignal, startAttempt } = require('./chat/puterChat');
+const { getCache, cacheKey, cachePolicy, cacheGet, cacheSet } = require('./chat/responseCache');
+const { startAudit } = require('./chat/auditLog');
+const { recordUpstream, recordRetry } = require('./chat/metrics');
 
 const DRIVER_PATH = '/drivers/call';
 const HOSTS = ['https://api.puter.com', 'https://puter.com'];
 
+// Full vector width of the models we know, so `dimensions` can be checked before going upstream.
+// Other models are checked against the first vector that comes back.
+const MODEL_WIDTHS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+};
+
+function isTokenArray(x) {
+  return Array.isArray(x) && x.length > 0 && x.every(Number.isInteger);
+}
+
+// Returns { items, single }, { error } or null. OpenAI takes a string, an array of strings, one
+// token array (ints) or an array of token arrays; `single` marks the forms that embed one input.
 function normalizeInput(input) {
-  if (typeof input === 'string') return input;
-  if (Array.isArray(input)) {
-    // Ensure it's an array of strings (OpenAI allows array of strings)
-    return input.map(x => (typeof x === 'string' ? x : JSON.stringify(x)));
+  if (typeof input === 'string') return { items: [input], single: true };
+  if (isTokenArray(input)) return { items: [input], single: true };
+  if (Array.isArray(input) && input.length) {
+    if (input.some(x => typeof x === 'string') && input.some(isTokenArray)) {
+      return { error: 'input must not mix strings and token arrays' };
+    }
+    // Strings and token arrays pass through; anything else is embedded as its JSON text
+    return { items: input.map(x => (typeof x === 'string' || isTokenArray(x) ? x : JSON.stringify(x))), single: false };
   }
   return null;
 }
 
+function knownWidth(model) {
+  return MODEL_WIDTHS[String(model).toLowerCase().split('/').pop()] || null;
+}
+
 function isNoImplError(msg) {
   return typeof msg === 'string' && msg.includes('No implementation available for interface');
 }
 
-async function callDriverWithToken({ token, body }) {
+async function callDriverWithToken({ token, body, signal }) {
   let lastErr = null;
-  for (const host of HOSTS) {
+  for (const [i, host] of HOSTS.entries()) {
     try {
       const r = await fetch(host + DRIVER_PATH, {
         method: 'POST',
@@ -40,7 +77,8 @@ async function callDriverWithToken({ token, body }) {
           'Accept': 'application/json',
           'Origin': 'https://puter.com'
         },
-        body: JSON.stringify(body)
+        body: JSON.stringify(body),
+        signal
       });
 
       const ct = (r.headers.get('content-type') || '').toLowerCase();
@@ -48,7 +86,9 @@ async function callDriverWithToken({ token, body }) {
       const text = ct.includes('application/json') ? null : await r.text();
       return { ok: r.ok, status: r.status, json, text, host };
     } catch (e) {
+      if (signal?.aborted) throw signal.reason || e;
       lastErr = e;
+      if (i < HOSTS.length - 1) recordRetry('host');
     }
   }
   throw lastErr || new Error('All upstream hosts failed');
@@ -67,8 +107,7 @@ function toOpenAIEmbeddings({ model, input, upstream }) {
     return {
       object: 'list',
       data: [{ object: 'embedding', index: 0, embedding: directEmbedding }],
-      model,
-      usage: { prompt_tokens: 0, total_tokens: 0 }
+      model
     };
   }
 
@@ -77,8 +116,7 @@ function toOpenAIEmbeddings({ model, input, upstream }) {
     return {
       object: 'list',
       data: upstream.map((vec, i) => ({ object: 'embedding', index: i, embedding: vec })),
-      model,
-      usage: { prompt_tokens: 0, total_tokens: 0 }
+      model
     };
   }
 
@@ -87,45 +125,25 @@ function toOpenAIEmbeddings({ model, input, upstream }) {
     return {
       object: 'list',
       data: upstream.data.map((vec, i) => ({ object: 'embedding', index: i, embedding: vec })),
-      model,
-      usage: { prompt_tokens: 0, total_tokens: 0 }
+      model
     };
   }
 
-  // 5) If input was a single string and upstream is a single vector
-  if (typeof input === 'string' && Array.isArray(upstream)) {
+  // 5) If input was a single string (or token array) and upstream is a single vector
+  if ((typeof input === 'string' || isTokenArray(input)) && Array.isArray(upstream)) {
     return {
       object: 'list',
       data: [{ object: 'embedding', index: 0, embedding: upstream }],
-      model,
-      usage: { prompt_tokens: 0, total_tokens: 0 }
+      model
     };
   }
 
   return null;
 }
 
-module.exports = async function handler(req, res) {
-  if (req.method === 'OPTIONS') return res.status(200).end();
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-
-  const incomingKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (process.env.PROXY_API_KEY && incomingKey !== process.env.PROXY_API_KEY) {
-    return res.status(401).json({ error: 'Invalid Proxy API Key' });
-  }
-
-  if (!hasAnyToken()) {
-    return res.status(500).json({ error: 'Server misconfiguration: Missing PUTER_TOKEN(S)' });
-  }
-
-  const body = req.body || {};
-  const input = normalizeInput(body.input);
-  const model = body.model || 'text-embedding-3-small';
-
-  if (input == null) {
-    return res.status(400).json({ error: 'Invalid request: input must be a string or array of strings' });
-  }
-
+// Runs one embeddings call across the token pool.
+// Resolves to { ok: true, result, mapped } or { ok: false, status, message, details?, aborted? }.
+async function embedUpstream({ input, model, signal, audit }) {
   const iface = process.env.PUTER_EMBEDDINGS_INTERFACE || 'puter-embeddings';
   const method = process.env.PUTER_EMBEDDINGS_METHOD || 'embed';
   const service = process.env.PUTER_EMBEDDINGS_SERVICE || 'openai';
@@ -142,25 +160,40 @@ module.exports = async function handler(req, res) {
   let lastStatus = 502;
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const token = getToken();
+    if (signal.aborted) return { ok: false, aborted: true };
+    const token = await getToken();
     if (!token) break;
-
+    if (attempt > 0) recordRetry('token');
+
+    const run = startAttempt(signal);
+    const started = Date.now();
+    let host = null;
+    const logAttempt = (status, error) => {
+      const entry = {
+        model, service, interface: iface, token, host, status, ms: Date.now() - started,
+        ...(error ? { error: String(error).slice(0, 500) } : {}),
+      };
+      recordUpstream(entry);
+      audit?.attempt(entry);
+    };
     try {
-      const upstream = await callDriverWithToken({ token, body: driverBody });
+      const upstream = await callDriverWithToken({ token, body: driverBody, signal: run.signal });
+      host = upstream.host;
 
       // Envelope error?
       if (upstream.json && typeof upstream.json === 'object' && upstream.json.success === false) {
         const msg = upstream.json?.error?.message || JSON.stringify(upstream.json.error || upstream.json);
         lastMsg = msg;
         lastStatus = 502;
+        logAttempt(502, msg);
 
         // Treat "no implementation" as retryable across tokens
         if (isNoImplError(msg)) {
-          reportTokenResult(token, { ok: false, status: 502 });
+          await reportTokenResult(token, { ok: false, status: 502 });
           continue;
         }
 
-        reportTokenResult(token, { ok: false, status: 502 });
+        await reportTokenResult(token, { ok: false, status: 502 });
         continue;
       }
 
@@ -169,38 +202,198 @@ module.exports = async function handler(req, res) {
         const msg = upstream.text || JSON.stringify(upstream.json || {});
         lastMsg = msg;
         lastStatus = upstream.status;
-        reportTokenResult(token, { ok: false, status: upstream.status });
+        logAttempt(upstream.status, msg);
+        await reportTokenResult(token, { ok: false, status: upstream.status });
 
         if ([401,403,429].includes(upstream.status) || (upstream.status >= 500 && upstream.status <= 599)) continue;
-        return res.status(upstream.status).json({ error: { message: msg, type: 'upstream_error' } });
+        return { ok: false, status: upstream.status, message: msg };
       }
 
-      reportTokenResult(token, { ok: true, status: 200 });
+      logAttempt(upstream.status);
+      await reportTokenResult(token, { ok: true, status: 200 });
 
       const result = upstream.json?.result ?? upstream.json ?? upstream.text;
       const mapped = toOpenAIEmbeddings({ model, input, upstream: result });
 
       if (!mapped) {
-        return res.status(502).json({
-          error: {
-            message: 'Unrecognized upstream embeddings response shape',
-            type: 'upstream_error',
-            details: result
-          }
-        });
+        return { ok: false, status: 502, message: 'Unrecognized upstream embeddings response shape', details: result };
       }
-
-      // Ensure correct model field
-      if (!mapped.model) mapped.model = model;
-      return res.status(200).json(mapped);
+      return { ok: true, result, mapped };
 
     } catch (e) {
+      // A client that hung up is not the token's fault
+      if (signal.aborted) return { ok: false, aborted: true };
+      const timedOut = e?.name === 'TimeoutError';
       lastMsg = String(e?.message || e);
-      lastStatus = 502;
-      reportTokenResult(token, { ok: false, status: 599 });
+      lastStatus = timedOut ? 504 : 502;
+      logAttempt(lastStatus, lastMsg);
+      await reportTokenResult(token, { ok: false, status: timedOut ? 504 : 599 });
       continue;
+    } finally {
+      run.done();
+    }
+  }
+
+  return { ok: false, status: lastStatus, message: lastMsg || 'All tokens failed' };
+}
+
+function envInt(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+// Splits item indexes into batches bounded by count and by estimated tokens.
+function planBatches(items, indexes, model) {
+  const maxItems = envInt('PUTER_EMBEDDINGS_BATCH_SIZE', 64);
+  const maxTokens = envInt('PUTER_EMBEDDINGS_BATCH_TOKENS', 100000);
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+  for (const i of indexes) {
+    const t = embeddingsUsage({ model, input: [items[i]] }).prompt_tokens;
+    if (current.length && (current.length >= maxItems || tokens + t > maxTokens)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(i);
+    tokens += t;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// Runs fn over list with at most `limit` calls in flight; results keep list order.
+async function mapConcurrent(list, limit, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+  return out;
+}
+
+// Truncates to `dimensions` and re-normalizes to unit length, as OpenAI's shortened embeddings are.
+function shorten(vec, dimensions) {
+  if (!dimensions || vec.length <= dimensions) return vec;
+  const cut = vec.slice(0, dimensions);
+  const norm = Math.sqrt(cut.reduce((acc, v) => acc + v * v, 0));
+  return norm > 0 ? cut.map(v => v / norm) : cut;
+}
+
+// base64 of little-endian float32s, the encoding the OpenAI SDKs decode.
+function toBase64(vec) {
+  const buf = Buffer.alloc(vec.length * 4);
+  vec.forEach((v, i) => buf.writeFloatLE(v, i * 4));
+  return buf.toString('base64');
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const body = req.body || {};
+  const model = body.model || 'text-embedding-3-small';
+
+  const auth = await authorize(req, res, { model });
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
+
+  if (!hasAnyToken()) {
+    return res.status(500).json({ error: 'Server misconfiguration: Missing PUTER_TOKEN(S)' });
+  }
+
+  const input = normalizeInput(body.input);
+
+  if (input == null) {
+    return res.status(400).json({ error: 'Invalid request: input must be a string, an array of strings or token arrays' });
+  }
+  if (input.error) {
+    return res.status(400).json({ error: `Invalid request: ${input.error}` });
+  }
+
+  const encoding = body.encoding_format ?? 'float';
+  if (encoding !== 'float' && encoding !== 'base64') {
+    return res.status(400).json({ error: "Invalid request: encoding_format must be 'float' or 'base64'" });
+  }
+  const dimensions = body.dimensions ?? null;
+  if (dimensions !== null && !(Number.isInteger(dimensions) && dimensions > 0)) {
+    return res.status(400).json({ error: 'Invalid request: dimensions must be a positive integer' });
+  }
+  const maxWidth = knownWidth(model);
+  if (dimensions && maxWidth && dimensions > maxWidth) {
+    return res.status(400).json({ error: `Invalid request: dimensions must be at most ${maxWidth} for model ${model}` });
+  }
+
+  // With the response cache on, each input is looked up on its own and only the misses go
+  // upstream. Usage then covers just those misses, since hits cost nothing.
+  const { items, single } = input;
+  const cache = getCache();
+  const policy = cachePolicy(req);
+  const keys = cache && policy !== 'skip' ? items.map(item => cacheKey('embedding', { model, input: item })) : null;
+  const vectors = keys && policy === 'use' ? await Promise.all(keys.map(k => cacheGet(cache, k))) : items.map(() => null);
+  const missing = items.map((_, i) => i).filter(i => !vectors[i]);
+  if (keys) res.setHeader('x-cache', missing.length ? 'miss' : 'hit');
+
+  let answeredModel = model;
+  let usage = { prompt_tokens: 0, total_tokens: 0 };
+  if (missing.length) {
+    const usages = [];
+    const signal = clientSignal(req, res);
+    const batches = planBatches(items, missing, model);
+    const concurrency = envInt('PUTER_EMBEDDINGS_CONCURRENCY', 4);
+    // One failed batch fails the request; the others are left to finish (and be cached).
+    const outs = await mapConcurrent(batches, concurrency, async (batch) => {
+      const sent = single ? items[0] : batch.map(i => items[i]);
+      const out = await embedUpstream({ input: sent, model, signal, audit });
+      if (!out.ok) return out;
+
+      const got = out.mapped.data.slice().sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(d => d.embedding);
+      if (got.length !== batch.length) {
+        return { ok: false, status: 502, message: `Upstream returned ${got.length} embeddings for ${batch.length} inputs` };
+      }
+      usages.push(embeddingsUsage({ upstream: out.result?.usage ?? out.mapped.usage, model, input: sent }));
+      if (out.mapped.model) answeredModel = out.mapped.model;
+      for (let j = 0; j < batch.length; j++) {
+        vectors[batch[j]] = got[j];
+        if (keys) await cacheSet(cache, keys[batch[j]], got[j]);
+      }
+      return out;
+    });
+
+    usage = usages.reduce((acc, u) => ({
+      prompt_tokens: acc.prompt_tokens + u.prompt_tokens,
+      total_tokens: acc.total_tokens + u.total_tokens,
+      ...(acc.estimated || u.estimated ? { estimated: true } : {}),
+    }), usage);
+    // Batches that did run spent allowance even if another one failed.
+    await auth.client.recordUsage(usage);
+
+    const failed = outs.find(o => !o.ok);
+    if (failed) {
+      if (failed.aborted) return res.end();
+      return res.status(failed.status).json({ error: { message: failed.message, type: 'upstream_error', ...(failed.details !== undefined ? { details: failed.details } : {}) } });
     }
   }
 
-  return res.status(lastStatus).json({ error: { message: lastMsg || 'All tokens failed', type: 'upstream_error' } });
+  // Only reached for models missing from MODEL_WIDTHS.
+  const width = vectors[0]?.length || 0;
+  if (dimensions && dimensions > width) {
+    return res.status(400).json({ error: `Invalid request: dimensions must be at most ${width} for model ${model}` });
+  }
+
+  return res.status(200).json({
+    object: 'list',
+    data: vectors.map((vec, index) => {
+      const v = shorten(vec, dimensions);
+      return { object: 'embedding', index, embedding: encoding === 'base64' ? toBase64(v) : v };
+    }),
+    model: answeredModel,
+    usage,
+  });
 };
@@ -0,0 +1,112 @@
+// Health / readiness (GET /v1/health)
+// Env: PUTER_HEALTH_TIMEOUT_MS (per-host probe deadline, default 3000),
+//      PUTER_HEALTH_CACHE_MS (how long a probe result is reused, default 10000)
+//
+// Reports whether tokens are configured, how many are in cooldown (see chat/tokenPool.js) and
+// whether each host in HOSTS answers a cheap driver call (puter.auth getMonthlyUsage, which
+// spends nothing) with a pool token before the deadline. The probe token is picked without
+// moving the round-robin position, so checks never change which token real traffic gets.
+//   200 { status: 'ok' }        every host answered, no token cooling down
+//   200 { status: 'degraded' }  serving, but a host failed, the probe token was rejected
+//                               or some tokens are cooling down
+//   503 { status: 'unavailable' } no tokens, or no host answered
+// A 401 / 403 means the host is up and the token is the problem, so it never fails a host.
+// No proxy key needed, so load balancers can call it; the body carries no token material.
+// Probes never count against a token's cooldown, and checks are not counted as requests.
+
+const { hasAnyToken, peekToken, tokenStates } = require('./chat/tokenPool');
+const { DRIVER_PATH, HOSTS } = require('./chat/puterChat');
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_CACHE_MS = 10 * 1000;
+
+let lastProbe = null; // { at, hosts }
+
+function numberFrom(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+async function probeHost(host, token, timeoutMs) {
+  const started = Date.now();
+  try {
+    const r = await fetch(host + DRIVER_PATH, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Origin': 'https://puter.com',
+      },
+      body: JSON.stringify({ interface: 'puter.auth', method: 'getMonthlyUsage', args: [] }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const text = await r.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    const tokenRejected = r.status === 401 || r.status === 403;
+    const ok = tokenRejected || (r.ok && json?.success !== false);
+    const error = (json?.error?.message || text || `HTTP ${r.status}`).slice(0, 200);
+    return {
+      host, ok, status: r.status, latency_ms: Date.now() - started,
+      ...(tokenRejected ? { token_rejected: true } : {}),
+      ...(ok && !tokenRejected ? {} : { error }),
+    };
+  } catch (e) {
+    const timedOut = e?.name === 'TimeoutError';
+    return {
+      host, ok: false, status: null, latency_ms: Date.now() - started,
+      error: timedOut ? `no answer within ${timeoutMs}ms` : String(e?.message || e),
+    };
+  }
+}
+
+// Probes every host in parallel; results are shared for PUTER_HEALTH_CACHE_MS so frequent
+// checks do not turn into a stream of upstream calls.
+async function probeHosts(token) {
+  const cacheMs = numberFrom(process.env.PUTER_HEALTH_CACHE_MS, DEFAULT_CACHE_MS);
+  if (lastProbe && Date.now() - lastProbe.at < cacheMs) return lastProbe;
+  const timeoutMs = numberFrom(process.env.PUTER_HEALTH_TIMEOUT_MS, DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const hosts = await Promise.all(HOSTS.map(host => probeHost(host, token, timeoutMs)));
+  lastProbe = { at: Date.now(), hosts };
+  return lastProbe;
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'HEAD') return res.status(405).json({ error: 'Method not allowed' });
+  res.setHeader('Cache-Control', 'no-store');
+
+  const checkedAt = new Date().toISOString();
+  if (!hasAnyToken()) {
+    return res.status(503).json({
+      status: 'unavailable',
+      checked_at: checkedAt,
+      tokens: { configured: 0, available: 0, cooldown: 0 },
+      hosts: [],
+      reasons: ['No PUTER_TOKENS configured'],
+    });
+  }
+
+  const states = await tokenStates();
+  const cooling = states.filter(t => t.cooldownMs > 0).length;
+  const tokens = { configured: states.length, available: states.length - cooling, cooldown: cooling };
+  const probe = await probeHosts(await peekToken());
+  const hosts = probe.hosts;
+
+  const reasons = [];
+  for (const h of hosts) if (!h.ok) reasons.push(`${h.host} failed the probe: ${h.error}`);
+  const rejected = hosts.find(h => h.token_rejected);
+  if (rejected) reasons.push(`the probe token was rejected (${rejected.status}): ${rejected.error}`);
+  if (cooling === states.length) reasons.push('every token is in cooldown');
+  else if (cooling) reasons.push(`${cooling} of ${states.length} tokens in cooldown`);
+
+  const status = hosts.some(h => h.ok) ? (reasons.length ? 'degraded' : 'ok') : 'unavailable';
+  return res.status(status === 'unavailable' ? 503 : 200).json({
+    status,
+    checked_at: checkedAt,
+    tokens,
+    hosts_probed_at: new Date(probe.at).toISOString(),
+    hosts,
+    ...(reasons.length ? { reasons } : {}),
+  });
+};
@@ -0,0 +1,133 @@
+// Image Generations (POST /v1/images/generations) backed by Puter txt2img
+// Same /drivers/call plumbing + PUTER_TOKENS rotation as chat/completions.js.
+//
+// Env knobs (optional):
+// - PUTER_IMAGES_SERVICE: force a driver service (default: picked from the model name)
+// - PUTER_IMAGES_INTERFACE: override interface name (default: "puter-image-generation")
+// - PUTER_UPSTREAM_TIMEOUT_MS: per-attempt timeout, also bounds downloading a returned image URL
+//   (default: 50000)
+//
+// Notes:
+// - Puter returns one image per call, so `n` fans out into parallel driver calls
+// - Upstream may answer with raw image bytes, a data URL or a remote URL; all are mapped
+//   onto OpenAI's `url` / `b64_json` response formats
+
+const { hasAnyToken } = require('../chat/tokenPool');
+const { authorize, authError } = require('../chat/clientKeys');
+const { runDriver, clientSignal, upstreamTimeoutMs } = require('../chat/puterChat');
+const { startAudit } = require('../chat/auditLog');
+
+function pickImageService(model = '') {
+  if (process.env.PUTER_IMAGES_SERVICE) return process.env.PUTER_IMAGES_SERVICE;
+  const m = model.toLowerCase();
+  if (m.startsWith('dall-e') || m.startsWith('gpt-image') || m.startsWith('openai/')) return 'openai-image-generation';
+  if (m.includes('gemini') || m.includes('imagen') || m.startsWith('google/')) return 'gemini-image-generation';
+  if (m.includes('grok') || m.startsWith('xai/')) return 'xai-image-generation';
+  return 'together-image-generation';
+}
+
+function parseSize(size) {
+  const match = /^(\d+)x(\d+)$/.exec(String(size || ''));
+  return match ? { w: Number(match[1]), h: Number(match[2]) } : null;
+}
+
+// Pulls an image out of a JSON driver result: a URL / data URL string or a nested url/b64 field.
+function imageFromResult(result) {
+  if (!result) return null;
+  if (typeof result === 'string') {
+    const m = /^data:([^;,]+);base64,(.*)$/s.exec(result);
+    if (m) return { mime: m[1], b64: m[2] };
+    if (/^https?:\/\//.test(result)) return { url: result };
+    return null;
+  }
+  if (Array.isArray(result?.data)) return imageFromResult(result.data[0]);
+  if (result.b64_json) return { mime: 'image/png', b64: result.b64_json, revised_prompt: result.revised_prompt };
+  return imageFromResult(result.url || result.src || result.image || result.result);
+}
+
+async function generateOne(driverBody, { signal, audit }) {
+  const out = await runDriver(driverBody, { signal, audit });
+  if (!out.ok) return out;
+  if (out.binary) return { ok: true, image: { mime: out.contentType || 'image/png', b64: out.binary.toString('base64') } };
+
+  const image = imageFromResult(out.result);
+  if (!image) return { ok: false, status: 502, message: 'Unrecognized upstream image response shape' };
+  return { ok: true, image };
+}
+
+async function toResponseFormat(image, format) {
+  if (format === 'b64_json') {
+    if (image.b64) return { b64_json: image.b64 };
+    const ms = upstreamTimeoutMs();
+    const r = await fetch(image.url, { signal: AbortSignal.timeout(ms) }).catch((e) => {
+      throw e?.name === 'TimeoutError' ? Object.assign(new Error(`Generated image did not download within ${ms}ms`), { status: 504 }) : e;
+    });
+    if (!r.ok) throw new Error(`Failed to download generated image: ${r.status}`);
+    return { b64_json: Buffer.from(await r.arrayBuffer()).toString('base64') };
+  }
+  // Puter often returns bytes only; without storage of our own the best URL is a data URL.
+  return { url: image.url || `data:${image.mime || 'image/png'};base64,${image.b64}` };
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const body = req.body || {};
+  const model = body.model || 'dall-e-3';
+
+  const auth = await authorize(req, res, { model });
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
+
+  if (!hasAnyToken()) {
+    return res.status(500).json({ error: 'Server misconfiguration: Missing PUTER_TOKEN(S)' });
+  }
+
+  if (typeof body.prompt !== 'string' || !body.prompt.trim()) {
+    return res.status(400).json({ error: { message: 'prompt must be a non-empty string', type: 'invalid_request_error' } });
+  }
+
+  const n = body.n == null ? 1 : Number(body.n);
+  if (!Number.isInteger(n) || n < 1 || n > 10) {
+    return res.status(400).json({ error: { message: 'n must be an integer between 1 and 10', type: 'invalid_request_error' } });
+  }
+
+  const format = body.response_format || 'url';
+  if (format !== 'url' && format !== 'b64_json') {
+    return res.status(400).json({ error: { message: "response_format must be 'url' or 'b64_json'", type: 'invalid_request_error' } });
+  }
+
+  const args = { prompt: body.prompt, model };
+  const ratio = parseSize(body.size);
+  if (ratio) { args.ratio = ratio; args.size = body.size; }
+  if (body.quality) args.quality = body.quality;
+  if (body.style) args.style = body.style;
+
+  const driverBody = {
+    interface: process.env.PUTER_IMAGES_INTERFACE || 'puter-image-generation',
+    service: pickImageService(model),
+    method: 'generate',
+    args,
+  };
+
+  const signal = clientSignal(req, res);
+  const results = await Promise.all(Array.from({ length: n }, () => generateOne(driverBody, { signal, audit })));
+  const failed = results.find(r => !r.ok);
+  if (failed) {
+    if (failed.aborted) return res.end();
+    return res.status(failed.status).json({ error: { message: failed.message, type: 'upstream_error' } });
+  }
+
+  try {
+    const data = await Promise.all(results.map(async ({ image }) => {
+      const entry = await toResponseFormat(image, format);
+      if (image.revised_prompt) entry.revised_prompt = image.revised_prompt;
+      return entry;
+    }));
+    return res.status(200).json({ created: Math.floor(Date.now() / 1000), data });
+  } catch (e) {
+    return res.status(e?.status || 502).json({ error: { message: String(e?.message || e), type: 'upstream_error' } });
+  }
+};
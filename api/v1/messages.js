@@ -0,0 +1,324 @@
+// Anthropic Messages API compatibility (POST /v1/messages)
+// Translates Anthropic requests into the same Puter driver calls as chat/completions.js
+// (token pool + primary/legacy fallback) and answers in Anthropic's response / SSE event shape.
+
+const { hasAnyToken } = require('./chat/tokenPool');
+const { authorize } = require('./chat/clientKeys');
+const { chatUsage } = require('./chat/tokenizer');
+const { startAudit } = require('./chat/auditLog');
+const {
+  normalizeContent,
+  prepareMessages,
+  toAssistantMessage,
+  upstreamUsageOf,
+  setAnsweredModel,
+  sseHeaders,
+  startHeartbeat,
+  clientSignal,
+  createStopMatcher,
+  samplingOptions,
+  runChat,
+} = require('./chat/puterChat');
+
+const STOP_REASONS = { stop: 'end_turn', length: 'max_tokens', tool_calls: 'tool_use', content_filter: 'end_turn' };
+
+function anthropicError(res, status, message, type = 'api_error') {
+  return res.status(status).json({ type: 'error', error: { type, message } });
+}
+
+function errorTypeForStatus(status) {
+  if (status === 400) return 'invalid_request_error';
+  if (status === 401) return 'authentication_error';
+  if (status === 403) return 'permission_error';
+  if (status === 404) return 'not_found_error';
+  if (status === 429) return 'rate_limit_error';
+  if (status === 529 || status === 503) return 'overloaded_error';
+  return 'api_error';
+}
+
+// Anthropic image / document blocks -> OpenAI content parts. Anything we cannot map is
+// passed through untouched so the shared content check rejects it with a clear 400.
+function mediaBlockToPart(block) {
+  const src = block.source || {};
+  if (block.type === 'image' && src.type === 'base64') return { type: 'image_url', image_url: { url: `data:${src.media_type};base64,${src.data}` } };
+  if (block.type === 'image' && src.type === 'url') return { type: 'image_url', image_url: { url: src.url } };
+  if (block.type === 'document' && src.type === 'base64') return { type: 'file', file: { file_data: `data:${src.media_type};base64,${src.data}` } };
+  return block;
+}
+
+function blocksToText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return normalizeContent(content);
+  return content.filter(b => b && b.type === 'text').map(b => b.text || '').join('');
+}
+
+// Anthropic -> OpenAI message list. tool_result blocks become `tool` messages placed
+// ahead of the rest of the user turn, as OpenAI requires.
+function toOpenAIMessages({ system, messages }) {
+  const out = [];
+  const sys = blocksToText(system);
+  if (sys) out.push({ role: 'system', content: sys });
+
+  for (const m of messages) {
+    if (!m || typeof m !== 'object') continue;
+    if (typeof m.content === 'string') {
+      out.push({ role: m.role, content: m.content });
+      continue;
+    }
+    const blocks = Array.isArray(m.content) ? m.content : [];
+
+    if (m.role === 'assistant') {
+      const text = blocks.filter(b => b?.type === 'text').map(b => b.text || '').join('');
+      const toolCalls = blocks.filter(b => b?.type === 'tool_use').map(b => ({
+        id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) },
+      }));
+      const msg = { role: 'assistant', content: text };
+      if (toolCalls.length) msg.tool_calls = toolCalls;
+      out.push(msg);
+      continue;
+    }
+
+    const parts = [];
+    for (const b of blocks) {
+      if (!b) continue;
+      if (b.type === 'tool_result') {
+        const text = blocksToText(b.content);
+        out.push({ role: 'tool', tool_call_id: b.tool_use_id, content: b.is_error ? `Error: ${text}` : text });
+      } else if (b.type === 'text') {
+        parts.push({ type: 'text', text: b.text || '' });
+      } else {
+        parts.push(mediaBlockToPart(b));
+      }
+    }
+    if (parts.length) {
+      const onlyText = parts.every(p => p.type === 'text');
+      out.push({ role: m.role, content: onlyText ? parts.map(p => p.text).join('') : parts });
+    }
+  }
+  return out;
+}
+
+function toOpenAITools(tools) {
+  if (!Array.isArray(tools) || !tools.length) return undefined;
+  return tools.filter(t => t && t.name).map(t => ({
+    type: 'function',
+    function: { name: t.name, description: t.description, parameters: t.input_schema || { type: 'object', properties: {} } },
+  }));
+}
+
+function toOpenAIToolChoice(choice) {
+  if (!choice) return undefined;
+  if (choice.type === 'auto') return 'auto';
+  if (choice.type === 'any') return 'required';
+  if (choice.type === 'none') return 'none';
+  if (choice.type === 'tool' && choice.name) return { type: 'function', function: { name: choice.name } };
+  return undefined;
+}
+
+function parseArgs(str) {
+  try { return JSON.parse(str || '{}'); } catch { return {}; }
+}
+
+function stopReason({ matcher, finish, toolUse }) {
+  if (matcher.stopped) return 'stop_sequence';
+  return toolUse ? 'tool_use' : STOP_REASONS[finish] || 'end_turn';
+}
+
+function buildMessage(result, { selectedModel, messages, tools, stop }) {
+  const { message, finish_reason } = toAssistantMessage(result);
+  const matcher = createStopMatcher(stop);
+  if (message.content) message.content = matcher.push(message.content) + matcher.flush();
+  const usage = chatUsage({ upstream: upstreamUsageOf(result), model: selectedModel, messages, tools, message });
+
+  const content = [];
+  if (message.content) content.push({ type: 'text', text: message.content });
+  for (const tc of message.tool_calls || []) {
+    content.push({ type: 'tool_use', id: tc.id, name: tc.function.name, input: parseArgs(tc.function.arguments) });
+  }
+
+  return {
+    id: 'msg_' + Date.now(),
+    type: 'message',
+    role: 'assistant',
+    model: selectedModel,
+    content,
+    stop_reason: stopReason({ matcher, finish: finish_reason }),
+    stop_sequence: matcher.matched,
+    usage: { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens },
+  };
+}
+
+function writeEvent(res, event, obj) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(obj)}\n\n`);
+}
+
+async function streamAsAnthropic({ events, res, selectedModel, messages, tools, stop }) {
+  sseHeaders(res);
+  const id = 'msg_' + Date.now();
+  const inputTokens = chatUsage({ model: selectedModel, messages, tools }).prompt_tokens;
+
+  writeEvent(res, 'message_start', {
+    type: 'message_start',
+    message: {
+      id, type: 'message', role: 'assistant', model: selectedModel, content: [],
+      stop_reason: null, stop_sequence: null, usage: { input_tokens: inputTokens, output_tokens: 0 },
+    },
+  });
+
+  const hb = startHeartbeat(() => writeEvent(res, 'ping', { type: 'ping' }));
+
+  let completionText = '';
+  let thinkingText = '';
+  const streamedCalls = [];
+  let upstreamUsage = null;
+  let finish = null;
+  const matcher = createStopMatcher(stop);
+
+  // Anthropic streams one content block at a time: thinking, text, then one block per tool call.
+  let blockIndex = -1;
+  let openBlock = null; // 'thinking' | 'text' | tool key
+  const toolBlocks = new Map();
+  const closeBlock = () => {
+    if (openBlock == null) return;
+    writeEvent(res, 'content_block_stop', { type: 'content_block_stop', index: blockIndex });
+    openBlock = null;
+  };
+  const writeText = (text) => {
+    if (!text) return;
+    if (openBlock !== 'text') {
+      closeBlock();
+      openBlock = 'text';
+      writeEvent(res, 'content_block_start', { type: 'content_block_start', index: ++blockIndex, content_block: { type: 'text', text: '' } });
+    }
+    completionText += text;
+    writeEvent(res, 'content_block_delta', { type: 'content_block_delta', index: blockIndex, delta: { type: 'text_delta', text } });
+  };
+
+  try {
+    let failure = null;
+    for await (const ev of events) {
+      if (ev.type === 'error') { failure = ev.message; break; }
+      if (ev.type === 'usage') { upstreamUsage = ev.usage; continue; }
+      if (ev.type === 'finish') { finish = ev.reason; continue; }
+
+      if (ev.type === 'reasoning') {
+        if (!ev.text) continue;
+        if (openBlock !== 'thinking') {
+          closeBlock();
+          openBlock = 'thinking';
+          writeEvent(res, 'content_block_start', { type: 'content_block_start', index: ++blockIndex, content_block: { type: 'thinking', thinking: '' } });
+        }
+        thinkingText += ev.text;
+        writeEvent(res, 'content_block_delta', { type: 'content_block_delta', index: blockIndex, delta: { type: 'thinking_delta', thinking: ev.text } });
+      } else if (ev.type === 'text') {
+        writeText(matcher.push(ev.text || ''));
+        // Leaving the loop cancels the upstream stream, so a stop sequence also stops generation.
+        if (matcher.stopped) break;
+      } else if (ev.type === 'tool_call_start') {
+        closeBlock();
+        openBlock = ev.key;
+        toolBlocks.set(ev.key, streamedCalls.length);
+        streamedCalls.push({ function: { name: ev.name, arguments: '' } });
+        writeEvent(res, 'content_block_start', {
+          type: 'content_block_start', index: ++blockIndex,
+          content_block: { type: 'tool_use', id: ev.id, name: ev.name, input: {} },
+        });
+      } else if (ev.type === 'tool_call_delta') {
+        // Deltas for a tool block that is no longer open cannot be expressed in Anthropic's format.
+        if (openBlock !== ev.key) continue;
+        streamedCalls[toolBlocks.get(ev.key)].function.arguments += ev.arguments;
+        writeEvent(res, 'content_block_delta', {
+          type: 'content_block_delta', index: blockIndex, delta: { type: 'input_json_delta', partial_json: ev.arguments },
+        });
+      }
+    }
+    if (!failure) writeText(matcher.flush());
+    closeBlock();
+
+    const usage = chatUsage({
+      upstream: upstreamUsage, model: selectedModel, messages, tools,
+      message: { content: thinkingText + completionText, tool_calls: streamedCalls },
+    });
+    if (failure) {
+      writeEvent(res, 'error', { type: 'error', error: { type: 'api_error', message: failure } });
+      res.end();
+      return usage;
+    }
+    writeEvent(res, 'message_delta', {
+      type: 'message_delta',
+      delta: { stop_reason: stopReason({ matcher, finish, toolUse: streamedCalls.length > 0 }), stop_sequence: matcher.matched },
+      usage: { output_tokens: usage.completion_tokens },
+    });
+    writeEvent(res, 'message_stop', { type: 'message_stop' });
+    res.end();
+    return usage;
+  } finally {
+    clearInterval(hb);
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
+  if (req.method !== 'POST') return anthropicError(res, 405, 'Method not allowed', 'invalid_request_error');
+
+  const body = req.body || {};
+  const selectedModel = body.model || 'claude-sonnet-4-5';
+
+  // Anthropic SDKs send x-api-key; authorize() accepts that as well as a Bearer token.
+  const auth = await authorize(req, res, { model: selectedModel });
+  if (!auth.ok) return anthropicError(res, auth.status, auth.message, errorTypeForStatus(auth.status));
+  audit.useClient(auth.client);
+
+  if (!hasAnyToken()) {
+    return anthropicError(res, 500, 'Server misconfiguration: Missing PUTER_TOKEN(S)');
+  }
+
+  if (!Array.isArray(body.messages)) return anthropicError(res, 400, 'messages must be an array', 'invalid_request_error');
+
+  // Anthropic's sampling names map onto the OpenAI ones samplingOptions checks. stop_sequences
+  // has no count limit there, so it is checked here; top_k has no OpenAI counterpart.
+  const sampling = samplingOptions({ max_tokens: body.max_tokens, temperature: body.temperature, top_p: body.top_p });
+  if (sampling.error) return anthropicError(res, 400, sampling.error, 'invalid_request_error');
+  const stop = body.stop_sequences ?? undefined;
+  if (stop !== undefined && !(Array.isArray(stop) && stop.every(s => typeof s === 'string'))) {
+    return anthropicError(res, 400, 'stop_sequences must be an array of strings', 'invalid_request_error');
+  }
+  if (body.top_k != null && !(Number.isInteger(body.top_k) && body.top_k >= 0)) {
+    return anthropicError(res, 400, 'top_k must be a non-negative integer', 'invalid_request_error');
+  }
+
+  const messages = prepareMessages(toOpenAIMessages(body));
+  const tools = toOpenAITools(body.tools);
+
+  const outcome = await runChat({
+    model: selectedModel,
+    messages,
+    stream: body.stream === true,
+    allowModel: auth.client.allowsModel,
+    signal: clientSignal(req, res),
+    audit,
+    options: {
+      ...sampling.options,
+      stop: stop?.length ? stop : undefined,
+      top_k: body.top_k ?? undefined,
+      tools,
+      tool_choice: toOpenAIToolChoice(body.tool_choice),
+    },
+  });
+
+  if (!outcome.ok) {
+    // The client is gone; nothing left to answer.
+    if (outcome.aborted) return res.end();
+    return anthropicError(res, outcome.status, outcome.message, errorTypeForStatus(outcome.status));
+  }
+  const answeredModel = outcome.model || selectedModel;
+  setAnsweredModel(res, answeredModel);
+  if (outcome.events) {
+    const usage = await streamAsAnthropic({ events: outcome.events, res, selectedModel: answeredModel, messages, tools, stop });
+    return await auth.client.recordUsage(usage);
+  }
+  const message = buildMessage(outcome.result, { selectedModel: answeredModel, messages, tools, stop });
+  await auth.client.recordUsage(message.usage);
+  return res.status(200).json(message);
+};
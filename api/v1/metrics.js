@@ -0,0 +1,26 @@
+// Prometheus metrics (GET /v1/metrics, also served at /metrics)
+// Text exposition format, see chat/metrics.js for what is collected. Needs a proxy key like
+// every other route; scrapers send it as `Authorization: Bearer ...`.
+// Scrapes are deliberately not counted as requests themselves, neither in the metrics nor
+// against the key's rpm limit.
+
+const { authorize, authError } = require('./chat/clientKeys');
+const { renderMetrics } = require('./chat/metrics');
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(req, res, { countRequest: false });
+  if (!auth.ok) return authError(res, auth);
+
+  try {
+    const text = await renderMetrics();
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(text);
+  } catch (e) {
+    console.error('Metrics Error:', e);
+    return res.status(500).json({ error: { message: String(e?.message || e), type: 'server_error' } });
+  }
+};
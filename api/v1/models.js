@@ -1,7 +1,7 @@
-let cache = new Map(); // key -> {ts, data}
-const CACHE_MS = 10 * 60 * 1000; // 10 minutes
-
-const PUTER_MODELS_URL = 'https://puter.com/puterai/chat/models/details';
+import { authorize } from './chat/clientKeys.js';
+import { getModels } from './chat/modelCatalog.js';
+import { aliasTargets, warnRoutes } from './chat/modelRoutes.js';
+import { startAudit } from './chat/auditLog.js';
 
 // --- HTML Renderer for Browser Views ---
 function renderHtml(models) {
@@ -174,113 +174,35 @@ function renderHtml(models) {
 }
 // ----------------------------------------
 
-function toArray(raw) {
-  if (Array.isArray(raw)) return raw;
-
-  if (raw && typeof raw === 'object') {
-    if (Array.isArray(raw.models)) return raw.models;
-    if (Array.isArray(raw.data)) return raw.data;
-    if (Array.isArray(raw.results)) return raw.results;
-
-    if (raw.providers && typeof raw.providers === 'object') {
-      const all = [];
-      for (const v of Object.values(raw.providers)) {
-        if (Array.isArray(v)) all.push(...v);
-        else if (v && typeof v === 'object') {
-          if (Array.isArray(v.models)) all.push(...v.models);
-          else if (Array.isArray(v.data)) all.push(...v.data);
-        }
-      }
-      if (all.length) return all;
-    }
-
-    const all = [];
-    for (const [k, v] of Object.entries(raw)) {
-      if (Array.isArray(v)) all.push(...v);
-      else if (v && typeof v === 'object') {
-        if (Array.isArray(v.models)) all.push(...v.models);
-        else if (Array.isArray(v.data)) all.push(...v.data);
-      }
-    }
-    if (all.length) return all;
-  }
-
-  return null;
-}
-
-function normalizeToOpenAI(models) {
-  const created = Math.floor(Date.now() / 1000);
-
-  return models
-    .filter(Boolean)
-    .map((m) => {
-      const id = m.id || m.model || m.slug || m.name || m.model_id;
-      const provider = m.provider || m.owned_by || 
-        (typeof id === 'string' && id.includes('/') ? id.split('/')[0] : null) || 'puter';
-
-      return {
-        id,
-        object: 'model',
-        created,
-        owned_by: provider
-      };
-    })
-    .filter((m) => typeof m.id === 'string' && m.id.length > 0);
-}
-
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
+  // Browsers may pass ?key=... like /v1/tokens
+  const auth = await authorize(req, res, { allowQueryKey: true });
+  if (!auth.ok) return res.status(auth.status).json({ error: { message: auth.message, type: auth.type, code: auth.code } });
+  audit.useClient(auth.client);
+
   try {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const provider = url.searchParams.get('provider');
-    const cacheKey = provider || '__all__';
-
-    const now = Date.now();
-    let openaiModels = null;
-
-    const cached = cache.get(cacheKey);
-    if (cached && (now - cached.ts) < CACHE_MS) {
-      openaiModels = cached.data;
-    } else {
-      const upstreamUrl = provider
-        ? `${PUTER_MODELS_URL}?provider=${encodeURIComponent(provider)}`
-        : PUTER_MODELS_URL;
+    let openaiModels = await getModels({ provider });
 
-      const r = await fetch(upstreamUrl, {
-        headers: {
-          'Accept': 'application/json',
-          'Origin': 'https://puter.com'
-        }
-      });
+    // Check the routing config against the full list (a provider-filtered list would misreport)
+    if (!provider) warnRoutes(openaiModels);
 
-      const contentType = (r.headers.get('content-type') || '').toLowerCase();
-
-      if (!r.ok) {
-        const txt = await r.text();
-        throw new Error(`Failed to fetch models: ${r.status} - ${txt}`);
-      }
-
-      let raw;
-      if (contentType.includes('application/json')) {
-        raw = await r.json();
-      } else {
-        const txt = await r.text();
-        try { raw = JSON.parse(txt); } 
-        catch { throw new Error(`Models endpoint returned non-JSON content-type: ${contentType || 'unknown'}`); }
-      }
-
-      const arr = toArray(raw);
-      if (!arr) {
-        const hint = typeof raw === 'object' ? Object.keys(raw).slice(0, 20).join(',') : String(raw).slice(0, 200);
-        throw new Error(`Models endpoint returned unexpected shape. Keys/preview: ${hint}`);
-      }
-
-      openaiModels = normalizeToOpenAI(arr);
-      cache.set(cacheKey, { ts: now, data: openaiModels });
+    // Routing aliases (e.g. "fast") are callable too, so list them next to their targets
+    const byId = new Map(openaiModels.map(m => [m.id.toLowerCase(), m]));
+    for (const [name, target] of Object.entries(aliasTargets())) {
+      const hit = byId.get(target.toLowerCase());
+      if (byId.has(name) || (provider && !hit)) continue;
+      openaiModels = openaiModels.concat({ id: name, object: 'model', created: hit?.created || Math.floor(Date.now() / 1000), owned_by: hit?.owned_by || 'puter' });
     }
 
+    // Only list what this client key may actually call
+    openaiModels = openaiModels.filter(m => auth.client.allowsModel(m.id));
+
     // --- CHECK FOR BROWSER REQUEST ---
     const accept = req.headers['accept'] || '';
     if (accept.includes('text/html')) {
@@ -289,7 +211,10 @@ export default async function handler(req, res) {
     }
 
     // --- STANDARD API RESPONSE ---
-    return res.status(200).json({ object: 'list', data: openaiModels });
+    return res.status(200).json({
+      object: 'list',
+      data: openaiModels
+    });
 
   } catch (error) {
     console.error('Models Error:', error);
@@ -298,7 +223,7 @@ export default async function handler(req, res) {
     const fallback = [
       { id: 'gpt-5-nano', object: 'model', created, owned_by: 'puter' },
       { id: 'openai/gpt-4o', object: 'model', created, owned_by: 'openai' }
-    ];
+    ].filter(m => auth.client.allowsModel(m.id));
 
     const accept = req.headers['accept'] || '';
     if (accept.includes('text/html')) {
@@ -0,0 +1,380 @@
+// OpenAI Responses API (POST /v1/responses)
+// Maps `input` items / `instructions` onto the same Puter driver calls as chat/completions.js
+// and replies with typed output items or `response.*` SSE events.
+// previous_response_id chaining is backed by ./chat/responseStore.
+
+const { hasAnyToken } = require('./chat/tokenPool');
+const { authorize, authError } = require('./chat/clientKeys');
+const { chatUsage } = require('./chat/tokenizer');
+const store = require('./chat/responseStore');
+const { startAudit } = require('./chat/auditLog');
+const {
+  normalizeContent,
+  prepareMessages,
+  toAssistantMessage,
+  upstreamUsageOf,
+  setAnsweredModel,
+  sseHeaders,
+  startHeartbeat,
+  clientSignal,
+  samplingOptions,
+  runChat,
+} = require('./chat/puterChat');
+
+function newId(prefix) {
+  return prefix + '_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+function badRequest(res, message) {
+  return res.status(400).json({ error: { message, type: 'invalid_request_error' } });
+}
+
+function partsToContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return normalizeContent(content);
+  const parts = [];
+  for (const p of content) {
+    if (!p) continue;
+    if (p.type === 'input_text' || p.type === 'output_text' || p.type === 'text') parts.push({ type: 'text', text: p.text || '' });
+    else if (p.type === 'input_image') {
+      const url = typeof p.image_url === 'string' ? p.image_url : p.image_url?.url;
+      parts.push({ type: 'image_url', image_url: { url, detail: p.detail } });
+    } else if (p.type === 'input_file') {
+      parts.push({ type: 'file', file: { file_data: p.file_data, file_id: p.file_id, filename: p.filename } });
+    } else if (p.type === 'refusal') parts.push({ type: 'text', text: p.refusal || '' });
+    // Anything else is passed through so the content check can reject it with a clear 400.
+    else parts.push(p);
+  }
+  return parts.every(p => p.type === 'text') ? parts.map(p => p.text).join('') : parts;
+}
+
+// Responses `input` -> chat messages. Consecutive function_call items collapse into one
+// assistant message, matching how the chat format represents parallel tool calls.
+function inputToMessages(input) {
+  if (typeof input === 'string') return [{ role: 'user', content: input }];
+  if (!Array.isArray(input)) return null;
+
+  const out = [];
+  for (const item of input) {
+    if (!item || typeof item !== 'object') continue;
+
+    if (item.type === 'function_call') {
+      const call = { id: item.call_id || item.id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } };
+      const last = out[out.length - 1];
+      if (last && last.role === 'assistant' && Array.isArray(last.tool_calls)) last.tool_calls.push(call);
+      else if (last && last.role === 'assistant' && !last.tool_calls) last.tool_calls = [call];
+      else out.push({ role: 'assistant', content: '', tool_calls: [call] });
+      continue;
+    }
+    if (item.type === 'function_call_output') {
+      out.push({ role: 'tool', tool_call_id: item.call_id, content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output) });
+      continue;
+    }
+    if (item.type === 'reasoning') continue;
+
+    if (item.role) {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      out.push({ role, content: partsToContent(item.content) });
+    }
+  }
+  return out;
+}
+
+function toChatTools(tools) {
+  if (!Array.isArray(tools) || !tools.length) return { tools: undefined };
+  const out = [];
+  for (const t of tools) {
+    if (!t) continue;
+    if (t.type !== 'function') return { error: `Unsupported tool type: ${t.type}` };
+    out.push({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters || { type: 'object', properties: {} } } });
+  }
+  return { tools: out };
+}
+
+function toChatToolChoice(choice) {
+  if (choice == null) return undefined;
+  if (typeof choice === 'string') return choice;
+  if (choice.type === 'function' && choice.name) return { type: 'function', function: { name: choice.name } };
+  return undefined;
+}
+
+function messageItem(text, status = 'completed') {
+  return {
+    type: 'message', id: newId('msg'), status, role: 'assistant',
+    content: text == null ? [] : [{ type: 'output_text', text, annotations: [] }],
+  };
+}
+
+function functionCallItem(tc, status = 'completed') {
+  return { type: 'function_call', id: newId('fc'), call_id: tc.id, name: tc.function.name, arguments: tc.function.arguments, status };
+}
+
+// Model thinking goes out as a reasoning item's summary text.
+function reasoningItem(text, status = 'completed') {
+  return { type: 'reasoning', id: newId('rs'), status, summary: text == null ? [] : [{ type: 'summary_text', text }] };
+}
+
+// A reply cut off at the token limit is `incomplete`, as OpenAI reports it.
+function completionStatus(finishReason) {
+  return finishReason === 'length'
+    ? { status: 'incomplete', incompleteDetails: { reason: 'max_output_tokens' } }
+    : { status: 'completed', incompleteDetails: null };
+}
+
+function toResponsesUsage(usage) {
+  const out = {
+    input_tokens: usage.prompt_tokens,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: usage.completion_tokens,
+    output_tokens_details: { reasoning_tokens: 0 },
+    total_tokens: usage.total_tokens,
+  };
+  if (usage.estimated) out.estimated = true;
+  return out;
+}
+
+function responseObject({ id, createdAt, status, model, output, usage, body, error = null, incompleteDetails = null }) {
+  const text = output.filter(o => o.type === 'message').flatMap(o => o.content).map(c => c.text).join('');
+  return {
+    id,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    error,
+    incomplete_details: incompleteDetails,
+    instructions: body.instructions ?? null,
+    max_output_tokens: body.max_output_tokens ?? null,
+    model,
+    output,
+    output_text: text,
+    parallel_tool_calls: body.parallel_tool_calls ?? true,
+    previous_response_id: body.previous_response_id ?? null,
+    temperature: body.temperature ?? null,
+    tool_choice: body.tool_choice ?? 'auto',
+    tools: body.tools ?? [],
+    top_p: body.top_p ?? null,
+    store: body.store !== false,
+    metadata: body.metadata ?? {},
+    usage,
+  };
+}
+
+async function saveResponse(ctx, response, assistant) {
+  if (ctx.body.store === false) return;
+  const history = ctx.history.concat([assistant]);
+  await store.put(response.id, { response, history }, { owner: ctx.owner });
+}
+
+function writeEvent(res, obj) {
+  res.write(`event: ${obj.type}\ndata: ${JSON.stringify(obj)}\n\n`);
+}
+
+async function streamAsResponses({ events, res, ctx }) {
+  sseHeaders(res);
+  const { id, createdAt, selectedModel, messages, tools, body } = ctx;
+  let seq = 0;
+  const emit = (type, data) => writeEvent(res, { type, sequence_number: seq++, ...data });
+
+  const output = [];
+  emit('response.created', { response: responseObject({ id, createdAt, status: 'in_progress', model: selectedModel, output: [], usage: null, body }) });
+  emit('response.in_progress', { response: responseObject({ id, createdAt, status: 'in_progress', model: selectedModel, output: [], usage: null, body }) });
+
+  const hb = startHeartbeat(() => res.write(': keep-alive\n\n'));
+
+  let upstreamUsage = null;
+  let finish = null;
+  let reasoningText = '';
+  let current = null; // { kind: 'reasoning' | 'text' | 'tool', item, index, key }
+  const callItems = new Map();
+
+  const closeCurrent = () => {
+    if (!current) return;
+    const { item, index } = current;
+    item.status = 'completed';
+    if (current.kind === 'text') {
+      const part = item.content[0];
+      emit('response.output_text.done', { item_id: item.id, output_index: index, content_index: 0, text: part.text });
+      emit('response.content_part.done', { item_id: item.id, output_index: index, content_index: 0, part });
+    } else if (current.kind === 'reasoning') {
+      const part = item.summary[0];
+      emit('response.reasoning_summary_text.done', { item_id: item.id, output_index: index, summary_index: 0, text: part.text });
+      emit('response.reasoning_summary_part.done', { item_id: item.id, output_index: index, summary_index: 0, part });
+    } else {
+      emit('response.function_call_arguments.done', { item_id: item.id, output_index: index, arguments: item.arguments });
+    }
+    emit('response.output_item.done', { output_index: index, item });
+    current = null;
+  };
+
+  try {
+    let failure = null;
+    for await (const ev of events) {
+      if (ev.type === 'error') { failure = ev.message; break; }
+      if (ev.type === 'usage') { upstreamUsage = ev.usage; continue; }
+      if (ev.type === 'finish') { finish = ev.reason; continue; }
+
+      if (ev.type === 'reasoning') {
+        if (!ev.text) continue;
+        if (current?.kind !== 'reasoning') {
+          closeCurrent();
+          const item = reasoningItem(null, 'in_progress');
+          output.push(item);
+          current = { kind: 'reasoning', item, index: output.length - 1 };
+          emit('response.output_item.added', { output_index: current.index, item: { ...item, summary: [] } });
+          item.summary.push({ type: 'summary_text', text: '' });
+          emit('response.reasoning_summary_part.added', { item_id: item.id, output_index: current.index, summary_index: 0, part: { type: 'summary_text', text: '' } });
+        }
+        reasoningText += ev.text;
+        current.item.summary[0].text += ev.text;
+        emit('response.reasoning_summary_text.delta', { item_id: current.item.id, output_index: current.index, summary_index: 0, delta: ev.text });
+      } else if (ev.type === 'text') {
+        if (!ev.text) continue;
+        if (current?.kind !== 'text') {
+          closeCurrent();
+          const item = messageItem(null, 'in_progress');
+          output.push(item);
+          current = { kind: 'text', item, index: output.length - 1 };
+          emit('response.output_item.added', { output_index: current.index, item: { ...item, content: [] } });
+          item.content.push({ type: 'output_text', text: '', annotations: [] });
+          emit('response.content_part.added', { item_id: item.id, output_index: current.index, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+        }
+        current.item.content[0].text += ev.text;
+        emit('response.output_text.delta', { item_id: current.item.id, output_index: current.index, content_index: 0, delta: ev.text });
+      } else if (ev.type === 'tool_call_start') {
+        closeCurrent();
+        const item = functionCallItem({ id: ev.id, function: { name: ev.name, arguments: '' } }, 'in_progress');
+        output.push(item);
+        callItems.set(ev.key, item);
+        current = { kind: 'tool', item, index: output.length - 1, key: ev.key };
+        emit('response.output_item.added', { output_index: current.index, item: { ...item } });
+      } else if (ev.type === 'tool_call_delta') {
+        const item = callItems.get(ev.key);
+        if (!item) continue;
+        item.arguments += ev.arguments;
+        if (current?.key === ev.key) {
+          emit('response.function_call_arguments.delta', { item_id: item.id, output_index: current.index, delta: ev.arguments });
+        }
+      }
+    }
+    if (failure) {
+      // Output already streamed stays as it was; the response itself ends as failed and is not stored.
+      const usage = chatUsage({ upstream: upstreamUsage, model: selectedModel, messages, tools, message: { content: reasoningText + output.filter(o => o.type === 'message').map(o => o.content[0]?.text || '').join('') } });
+      const response = responseObject({
+        id, createdAt, status: 'failed', model: selectedModel, output, usage: toResponsesUsage(usage), body,
+        error: { code: 'server_error', message: failure },
+      });
+      emit('response.failed', { response });
+      res.end();
+      return usage;
+    }
+    closeCurrent();
+
+    const text = output.filter(o => o.type === 'message').map(o => o.content[0]?.text || '').join('');
+    const toolCalls = output.filter(o => o.type === 'function_call')
+      .map(o => ({ id: o.call_id, type: 'function', function: { name: o.name, arguments: o.arguments } }));
+    const assistant = { role: 'assistant', content: text };
+    if (toolCalls.length) assistant.tool_calls = toolCalls;
+
+    const usage = chatUsage({ upstream: upstreamUsage, model: selectedModel, messages, tools, message: { ...assistant, content: reasoningText + text } });
+    const { status, incompleteDetails } = completionStatus(finish);
+    const response = responseObject({ id, createdAt, status, model: selectedModel, output, usage: toResponsesUsage(usage), body, incompleteDetails });
+    await saveResponse(ctx, response, assistant);
+
+    emit(`response.${status}`, { response });
+    res.end();
+    return usage;
+  } finally {
+    clearInterval(hb);
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const body = req.body || {};
+  const selectedModel = body.model || 'gpt-5-nano';
+
+  const auth = await authorize(req, res, { model: selectedModel });
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
+
+  if (!hasAnyToken()) {
+    return res.status(500).json({ error: 'Server misconfiguration: Missing PUTER_TOKEN(S)' });
+  }
+
+  const input = inputToMessages(body.input);
+  if (!input) return badRequest(res, 'input must be a string or an array of input items');
+
+  const { tools, error: toolError } = toChatTools(body.tools);
+  if (toolError) return badRequest(res, toolError);
+  const sampling = samplingOptions({
+    max_tokens: body.max_output_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    user: body.user,
+    parallel_tool_calls: body.parallel_tool_calls,
+    tools,
+  });
+  if (sampling.error) return badRequest(res, sampling.error.replace(/^max_tokens/, 'max_output_tokens'));
+
+  // Chained requests replay the stored conversation; instructions are never inherited.
+  let prior = [];
+  if (body.previous_response_id) {
+    const prev = await store.get(body.previous_response_id, { owner: auth.client.name });
+    if (!prev) {
+      return res.status(404).json({ error: { message: `Previous response with id '${body.previous_response_id}' not found.`, type: 'invalid_request_error', param: 'previous_response_id' } });
+    }
+    prior = prev.history;
+  }
+
+  const history = prior.concat(input);
+  const messages = prepareMessages(body.instructions ? [{ role: 'system', content: body.instructions }, ...history] : history);
+
+  const ctx = {
+    id: newId('resp'),
+    createdAt: Math.floor(Date.now() / 1000),
+    selectedModel,
+    messages,
+    tools,
+    history,
+    body,
+    owner: auth.client.name,
+  };
+
+  const outcome = await runChat({
+    model: selectedModel,
+    messages,
+    stream: body.stream === true,
+    allowModel: auth.client.allowsModel,
+    signal: clientSignal(req, res),
+    audit,
+    options: { ...sampling.options, tools, tool_choice: toChatToolChoice(body.tool_choice) },
+  });
+
+  if (!outcome.ok) {
+    // The client is gone; nothing left to answer.
+    if (outcome.aborted) return res.end();
+    return res.status(outcome.status).json({ error: { message: outcome.message, type: outcome.type || 'upstream_error' } });
+  }
+  ctx.selectedModel = outcome.model || selectedModel;
+  setAnsweredModel(res, ctx.selectedModel);
+  if (outcome.events) {
+    const usage = await streamAsResponses({ events: outcome.events, res, ctx });
+    return await auth.client.recordUsage(usage);
+  }
+
+  const { message, finish_reason } = toAssistantMessage(outcome.result);
+  const output = [];
+  if (message.content) output.push(messageItem(message.content));
+  for (const tc of message.tool_calls || []) output.push(functionCallItem(tc));
+
+  const usage = chatUsage({ upstream: upstreamUsageOf(outcome.result), model: ctx.selectedModel, messages, tools, message });
+  const { status, incompleteDetails } = completionStatus(finish_reason);
+  const response = responseObject({ id: ctx.id, createdAt: ctx.createdAt, status, model: ctx.selectedModel, output, usage: toResponsesUsage(usage), body, incompleteDetails });
+  await saveResponse(ctx, response, { role: 'assistant', content: message.content || '', ...(message.tool_calls ? { tool_calls: message.tool_calls } : {}) });
+  await auth.client.recordUsage(usage);
+
+  return res.status(200).json(response);
+};
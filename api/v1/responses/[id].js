@@ -0,0 +1,29 @@
+// Stored responses (GET / DELETE /v1/responses/{id})
+// Reads from the same store that POST /v1/responses writes to.
+
+const { authorize, authError } = require('../chat/clientKeys');
+const store = require('../chat/responseStore');
+const { startAudit } = require('../chat/auditLog');
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  const audit = startAudit(req, res);
+  if (req.method !== 'GET' && req.method !== 'DELETE') return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(req, res);
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
+
+  const id = req.query?.id || new URL(req.url, `http://${req.headers.host}`).pathname.split('/').pop();
+  // Another key's response is reported as missing, not as forbidden.
+  const record = await store.get(id, { owner: auth.client.name });
+  if (!record) {
+    return res.status(404).json({ error: { message: `No response found with id '${id}'.`, type: 'invalid_request_error' } });
+  }
+
+  if (req.method === 'DELETE') {
+    await store.remove(id);
+    return res.status(200).json({ id, object: 'response', deleted: true });
+  }
+  return res.status(200).json(record.response);
+};
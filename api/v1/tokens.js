@@ -1,6 +1,9 @@
 // Check balances of all PUTER_TOKENS
 // GET /v1/tokens
 
+import { authorize, authError } from './chat/clientKeys.js';
+import { startAudit } from './chat/auditLog.js';
+
 const HOST = 'https://api.puter.com';
 
 // Reuse the parsing logic to find all tokens in the pool
@@ -10,15 +13,13 @@ function parseTokens() {
 }
 
 export default async function handler(req, res) {
-  // Security: Require the Proxy Key if one is set
-  const incomingKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (process.env.PROXY_API_KEY && incomingKey !== process.env.PROXY_API_KEY) {
-    // If accessing via browser, query param ?key=... is also accepted for convenience
-    const queryKey = new URL(req.url, `http://${req.headers.host}`).searchParams.get('key');
-    if (!queryKey || queryKey !== process.env.PROXY_API_KEY) {
-       return res.status(401).json({ error: 'Invalid Proxy API Key' });
-    }
-  }
+  const audit = startAudit(req, res);
+
+  // Security: Require a client key if any are configured.
+  // If accessing via browser, query param ?key=... is also accepted for convenience
+  const auth = await authorize(req, res, { allowQueryKey: true });
+  if (!auth.ok) return authError(res, auth);
+  audit.useClient(auth.client);
 
   const tokens = parseTokens();
   if (!tokens.length) {
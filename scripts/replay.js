@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// Re-sends requests recorded in the audit log (api/v1/chat/auditLog.js) against a running proxy
+// and compares the new status with the logged one, to spot regressions after Puter changes.
+//
+// Usage: node scripts/replay.js <audit.jsonl> [--base http://localhost:3000] [--key KEY]
+//                               [--id req_...] [--path /v1/chat/completions] [--status 200]
+//                               [--limit N] [--dry-run]
+//
+// Only records logged with PUTER_AUDIT_BODIES=full carry a replayable request body; redacted,
+// upload (logged by size only) and body-less records are skipped. The key defaults to PROXY_API_KEY.
+// Exits with 1 when any replayed request came back with a different status.
+
+const fs = require('fs');
+const readline = require('readline');
+
+function parseArgs(argv) {
+  const opts = { base: 'http://localhost:3000', key: process.env.PROXY_API_KEY || null, limit: Infinity, dryRun: false };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--dry-run') opts.dryRun = true;
+    else if (['--base', '--key', '--id', '--path', '--status', '--limit'].includes(a)) opts[a.slice(2)] = argv[++i];
+    else rest.push(a);
+  }
+  opts.file = rest[0];
+  opts.limit = Number(opts.limit) || Infinity;
+  return opts;
+}
+
+async function* records(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let n = 0;
+  for await (const line of lines) {
+    n++;
+    if (!line.trim()) continue;
+    try { yield JSON.parse(line); } catch { console.warn(`line ${n}: not JSON, skipped`); }
+  }
+}
+
+// A request body that went through redaction cannot be sent again meaningfully.
+function isRedacted(value) {
+  if (typeof value === 'string') return /^\[redacted \d+ chars\]$/.test(value);
+  if (Array.isArray(value)) return value.some(isRedacted);
+  if (value && typeof value === 'object') return Object.values(value).some(isRedacted);
+  return false;
+}
+
+async function replay(record, opts) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (opts.key) headers.Authorization = `Bearer ${opts.key}`;
+  if (record.request?.stream === true) headers.Accept = 'text/event-stream';
+  // Replays should reach Puter, not the response cache.
+  headers['Cache-Control'] = 'no-cache';
+
+  const started = Date.now();
+  const r = await fetch(opts.base.replace(/\/$/, '') + record.path, {
+    method: record.method || 'POST',
+    headers,
+    body: record.method === 'GET' ? undefined : JSON.stringify(record.request),
+  });
+  const text = await r.text();
+  return { status: r.status, ms: Date.now() - started, model: r.headers.get('x-puter-model'), bytes: text.length, text };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.file) {
+    console.error('usage: node scripts/replay.js <audit.jsonl> [--base URL] [--key KEY] [--id ID] [--path PATH] [--status N] [--limit N] [--dry-run]');
+    process.exit(2);
+  }
+
+  let sent = 0;
+  let changed = 0;
+  for await (const rec of records(opts.file)) {
+    if (sent >= opts.limit) break;
+    if (opts.id && rec.id !== opts.id) continue;
+    if (opts.path && rec.path !== opts.path) continue;
+    if (opts.status && String(rec.status) !== String(opts.status)) continue;
+    if (!rec.path || (rec.method !== 'GET' && !rec.request)) { console.log(`${rec.id}: no request body logged, skipped`); continue; }
+    if (rec.request?.upload === true) { console.log(`${rec.id}: request was an upload, logged by size only, skipped`); continue; }
+    if (isRedacted(rec.request)) { console.log(`${rec.id}: request body is redacted, skipped`); continue; }
+
+    sent++;
+    if (opts.dryRun) {
+      console.log(`${rec.id}: would ${rec.method} ${rec.path} (model ${rec.model ?? '-'}, logged status ${rec.status})`);
+      continue;
+    }
+    try {
+      const out = await replay(rec, opts);
+      const same = out.status === rec.status;
+      if (!same) changed++;
+      console.log(`${rec.id}: ${rec.method} ${rec.path} status ${rec.status} -> ${out.status}${same ? '' : '  CHANGED'}`
+        + `, ${rec.latency_ms ?? '?'}ms -> ${out.ms}ms, model ${rec.answered_model ?? '-'} -> ${out.model ?? '-'}, ${out.bytes} bytes`);
+      if (!same) console.log(`  ${out.text.slice(0, 300).replace(/\s+/g, ' ')}`);
+    } catch (e) {
+      changed++;
+      console.log(`${rec.id}: request failed: ${e?.message || e}`);
+    }
+  }
+
+  console.log(`${sent} request(s) ${opts.dryRun ? 'matched' : `replayed, ${changed} with a different status`}`);
+  if (changed) process.exit(1);
+}
+
+main().catch(e => {
+  console.error(e?.stack || e);
+  process.exit(2);
+});